@@ -0,0 +1,107 @@
+/**
+ * Migration Script: Normalize existing references to the reference schema
+ *
+ * Rewrites authors as [{ family, given }], year as an integer, DOIs in their
+ * bare lower-case form and keywords / tags / projects as arrays (see
+ * shared/referenceSchema.js). Values that cannot be normalized are left as they
+ * are and listed at the end so they can be fixed by hand.
+ *
+ * Usage:
+ * 1. Set environment variables in .env file or export them
+ * 2. Run: node scripts/normalize-references.js [--dry-run]
+ */
+
+const { CosmosClient } = require('@azure/cosmos');
+const { normalizeReference } = require('../shared/referenceSchema');
+
+// Load environment variables from .env if available
+try {
+    require('dotenv').config();
+} catch (e) {
+    console.log('dotenv not available, using process.env directly');
+}
+
+async function normalizeReferences(dryRun) {
+    console.log('=== Reference Normalization Script ===\n');
+
+    // Validate environment variables
+    const connectionString = process.env.COSMOSDB_CONNECTION_STRING;
+    const databaseName = process.env.COSMOSDB_DATABASE_NAME || 'phd-helper';
+    const containerName = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
+
+    if (!connectionString) {
+        throw new Error('COSMOSDB_CONNECTION_STRING environment variable is required');
+    }
+
+    console.log(`Database: ${databaseName}`);
+    console.log(`Container: ${containerName}`);
+    console.log(`Mode: ${dryRun ? 'dry run (no writes)' : 'write'}\n`);
+
+    // Connect to CosmosDB
+    const client = new CosmosClient(connectionString);
+    const container = client.database(databaseName).container(containerName);
+
+    // Newsreader dismissals and merge redirects are not references
+    const { resources: references } = await container.items.query({
+        query: 'SELECT * FROM c WHERE (NOT IS_DEFINED(c.dismissed) OR c.dismissed != true) AND NOT IS_DEFINED(c.mergedInto)'
+    }).fetchAll();
+
+    console.log(`Loaded ${references.length} references\n`);
+
+    let updatedCount = 0;
+    let unchangedCount = 0;
+    let errorCount = 0;
+    const issues = [];
+
+    for (let i = 0; i < references.length; i++) {
+        const ref = references[i];
+
+        try {
+            const { reference, errors } = normalizeReference(ref, { partial: true });
+            errors.forEach(err => issues.push({ id: ref.id, title: ref.title, field: err.field, message: err.message, value: ref[err.field] }));
+
+            if (JSON.stringify(reference) === JSON.stringify(ref)) {
+                unchangedCount++;
+                continue;
+            }
+
+            if (!dryRun) {
+                await container.items.upsert(reference);
+            }
+            updatedCount++;
+
+            if ((i + 1) % 100 === 0) {
+                console.log(`Progress: ${i + 1}/${references.length} references processed...`);
+            }
+        } catch (error) {
+            errorCount++;
+            console.error(`Error normalizing reference ${ref.id}:`, error.message);
+        }
+    }
+
+    console.log('\n=== Normalization Complete ===');
+    console.log(`✓ ${dryRun ? 'Would update' : 'Updated'}: ${updatedCount}`);
+    console.log(`- Already normalized: ${unchangedCount}`);
+    console.log(`✗ Errors: ${errorCount}`);
+
+    if (issues.length > 0) {
+        console.log(`\nValues left unchanged (${issues.length}):`);
+        issues.forEach(issue => {
+            console.log(`  - ${issue.id} (${issue.title || 'untitled'}): ${issue.field} ${issue.message} [${JSON.stringify(issue.value)}]`);
+        });
+    }
+}
+
+// Main execution
+const dryRun = process.argv.includes('--dry-run');
+
+normalizeReferences(dryRun)
+    .then(() => {
+        console.log('\n✓ Script completed successfully');
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('\n✗ Normalization failed:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    });
@@ -0,0 +1,222 @@
+/**
+ * Annotation Utility
+ * Reading workflow data kept outside the reference document so reference edits
+ * (manual, AI autofill, imports) never touch it:
+ * - one `reading-status` record per reference (to-read, reading, read, cited)
+ * - `note` records: structured notes with a category and optional page
+ * - `highlight` records: a text span { start, end } on a KB page record
+ * All records carry `referenceId`.
+ */
+
+const { queryItems, getItem, upsertItem, deleteItem } = require('./cosmosClient');
+const { getPageText } = require('./kbIndex');
+
+const CONTAINER_ANNOTATIONS = process.env.COSMOSDB_CONTAINER_ANNOTATIONS || 'annotations';
+const CONTAINER_PAGES = process.env.COSMOSDB_CONTAINER_PAGES || 'pages';
+
+const READING_STATUSES = ['to-read', 'reading', 'read', 'cited'];
+const ANNOTATION_TYPES = ['note', 'highlight'];
+const NOTE_CATEGORIES = ['summary', 'argument', 'method', 'finding', 'quote', 'critique', 'question', 'other'];
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'orange'];
+
+const MAX_NOTE_LENGTH = 20000;
+const MAX_TITLE_LENGTH = 300;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+const readingStatusId = (referenceId) => `reading_${referenceId}`;
+
+const optionalString = (data, field, maxLength) => {
+    if (data[field] === undefined || data[field] === null) return undefined;
+    if (typeof data[field] !== 'string') throw invalid(`${field} must be a string`);
+    const value = data[field].trim();
+    if (value.length > maxLength) throw invalid(`${field} must be at most ${maxLength} characters`);
+    return value;
+};
+
+const optionalPageNumber = (value) => {
+    if (value === undefined || value === null) return undefined;
+    const pageNumber = Number(value);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) throw invalid('pageNumber must be a positive integer');
+    return pageNumber;
+};
+
+/**
+ * Validated fields for a note or highlight. With `existing` (updates) the type
+ * cannot change and omitted fields keep their stored value.
+ * Throws with `error.status = 400`.
+ */
+function validateAnnotation(data, existing = null) {
+    if (!data || typeof data !== 'object') throw invalid('Annotation body must be an object');
+    const type = existing ? existing.type : data.type;
+    if (!ANNOTATION_TYPES.includes(type)) throw invalid(`type must be one of: ${ANNOTATION_TYPES.join(', ')}`);
+    if (existing && data.type !== undefined && data.type !== existing.type) throw invalid('type cannot be changed');
+
+    const merged = { ...existing, ...data };
+    const fields = { type };
+
+    if (type === 'note') {
+        const body = optionalString(merged, 'body', MAX_NOTE_LENGTH);
+        if (!body) throw invalid('body is required');
+        fields.body = body;
+        fields.title = optionalString(merged, 'title', MAX_TITLE_LENGTH) || '';
+        fields.category = merged.category || 'other';
+        if (!NOTE_CATEGORIES.includes(fields.category)) throw invalid(`category must be one of: ${NOTE_CATEGORIES.join(', ')}`);
+        fields.pageNumber = optionalPageNumber(merged.pageNumber) ?? null;
+    } else {
+        fields.pageNumber = optionalPageNumber(merged.pageNumber);
+        if (fields.pageNumber === undefined) throw invalid('pageNumber is required');
+        const { start, end } = merged;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+            throw invalid('start and end must be character offsets with end > start');
+        }
+        fields.start = start;
+        fields.end = end;
+        fields.text = optionalString(merged, 'text', MAX_NOTE_LENGTH) || '';
+        fields.comment = optionalString(merged, 'comment', MAX_NOTE_LENGTH) || '';
+        fields.color = merged.color || HIGHLIGHT_COLORS[0];
+        if (!HIGHLIGHT_COLORS.includes(fields.color)) throw invalid(`color must be one of: ${HIGHLIGHT_COLORS.join(', ')}`);
+    }
+
+    if (merged.tags !== undefined) {
+        if (!Array.isArray(merged.tags) || merged.tags.some(tag => typeof tag !== 'string')) throw invalid('tags must be an array of strings');
+        fields.tags = Array.from(new Set(merged.tags.map(tag => tag.trim()).filter(Boolean)));
+    } else {
+        fields.tags = [];
+    }
+    return fields;
+}
+
+/**
+ * Check a highlight span against the page text it is anchored to and fill in
+ * the quoted text when the client did not send it. Throws with `error.status = 400`.
+ */
+function anchorHighlight(highlight, pageText) {
+    if (!pageText) return highlight;
+    if (highlight.end > pageText.length) {
+        throw invalid(`Span ${highlight.start}-${highlight.end} is outside page ${highlight.pageNumber} (${pageText.length} characters)`);
+    }
+    return { ...highlight, text: highlight.text || pageText.slice(highlight.start, highlight.end) };
+}
+
+async function getReadingStatus(referenceId) {
+    const id = readingStatusId(referenceId);
+    return getItem(CONTAINER_ANNOTATIONS, id, id);
+}
+
+/**
+ * Set the reading status, keeping a history of changes
+ */
+async function setReadingStatus(referenceId, status, current = null) {
+    const now = new Date().toISOString();
+    const history = current?.history || [];
+    return upsertItem(CONTAINER_ANNOTATIONS, {
+        id: readingStatusId(referenceId),
+        type: 'reading-status',
+        referenceId,
+        status,
+        history: current?.status === status ? history : [...history, { status, date: now }],
+        dateCreated: current?.dateCreated || now,
+        dateModified: now
+    });
+}
+
+/**
+ * Notes and highlights of a reference, by page then creation date
+ */
+async function listAnnotations(referenceId, { type } = {}) {
+    const parameters = [{ name: '@referenceId', value: referenceId }];
+    let query = 'SELECT * FROM c WHERE c.referenceId = @referenceId AND c.type != "reading-status"';
+    if (type) {
+        query += ' AND c.type = @type';
+        parameters.push({ name: '@type', value: type });
+    }
+    const annotations = await queryItems(CONTAINER_ANNOTATIONS, { query, parameters });
+    return annotations.sort((a, b) =>
+        (a.pageNumber ?? Infinity) - (b.pageNumber ?? Infinity) ||
+        (a.start ?? 0) - (b.start ?? 0) ||
+        String(a.dateCreated).localeCompare(String(b.dateCreated))
+    );
+}
+
+/**
+ * Anchor fields for a highlight moved onto another reference's pages: the first
+ * occurrence of its quoted text, preferring the page number it had. Without a
+ * match the highlight keeps its page number but is flagged `anchorStale`.
+ */
+function reanchorHighlight(highlight, pages) {
+    const candidates = [
+        ...pages.filter(page => page.pageNumber === highlight.pageNumber),
+        ...pages.filter(page => page.pageNumber !== highlight.pageNumber)
+    ];
+    for (const page of highlight.text ? candidates : []) {
+        const start = getPageText(page).indexOf(highlight.text);
+        if (start !== -1) {
+            return { pageNumber: page.pageNumber, pageId: page.id, start, end: start + highlight.text.length, anchorStale: false };
+        }
+    }
+    return { pageId: null, anchorStale: true };
+}
+
+/**
+ * Move notes and highlights to another reference (after a merge); the reading
+ * status of the source references is dropped unless the target has none.
+ * Page numbers and offsets refer to the source's PDF: highlights are re-anchored
+ * on the target's pages by their text, notes with a page are flagged `anchorStale`.
+ */
+async function reassignAnnotations(fromIds, toId) {
+    const annotations = await queryItems(CONTAINER_ANNOTATIONS, {
+        query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(@ids, c.referenceId)',
+        parameters: [{ name: '@ids', value: fromIds }]
+    });
+    let targetStatus = await getReadingStatus(toId);
+    let targetPages = null;
+    let moved = 0;
+    for (const annotation of annotations) {
+        if (annotation.type === 'reading-status') {
+            if (!targetStatus) targetStatus = await setReadingStatus(toId, annotation.status);
+            await deleteItem(CONTAINER_ANNOTATIONS, annotation.id, annotation.id);
+            continue;
+        }
+
+        let anchor = {};
+        if (annotation.type === 'highlight') {
+            targetPages = targetPages || await queryItems(CONTAINER_PAGES, {
+                query: 'SELECT * FROM c WHERE c.referenceId = @referenceId ORDER BY c.pageNumber',
+                parameters: [{ name: '@referenceId', value: toId }]
+            });
+            anchor = reanchorHighlight(annotation, targetPages);
+        } else if (annotation.pageNumber !== null && annotation.pageNumber !== undefined) {
+            anchor = { anchorStale: true };
+        }
+        await upsertItem(CONTAINER_ANNOTATIONS, { ...annotation, ...anchor, referenceId: toId, movedFrom: annotation.referenceId });
+        moved += 1;
+    }
+    return moved;
+}
+
+async function deleteAnnotationsForReference(referenceId) {
+    const annotations = await queryItems(CONTAINER_ANNOTATIONS, {
+        query: 'SELECT c.id FROM c WHERE c.referenceId = @referenceId',
+        parameters: [{ name: '@referenceId', value: referenceId }]
+    });
+    for (const annotation of annotations) {
+        await deleteItem(CONTAINER_ANNOTATIONS, annotation.id, annotation.id);
+    }
+    return annotations.length;
+}
+
+module.exports = {
+    CONTAINER_ANNOTATIONS,
+    READING_STATUSES,
+    ANNOTATION_TYPES,
+    NOTE_CATEGORIES,
+    HIGHLIGHT_COLORS,
+    validateAnnotation,
+    anchorHighlight,
+    getReadingStatus,
+    setReadingStatus,
+    listAnnotations,
+    reassignAnnotations,
+    deleteAnnotationsForReference
+};
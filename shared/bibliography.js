@@ -0,0 +1,590 @@
+/**
+ * Bibliography Utility
+ * Parses BibTeX and RIS exports (Zotero, Mendeley, EndNote) into the reference
+ * shape used by CreateReference: title, authors ("Family, Given; ..."), year,
+ * source, type, doi, keywords (comma-separated), url and summary.
+ * Writes references back out as BibTeX, RIS, CSL-JSON or a formatted
+ * bibliography (APA 7, Chicago author-date, Harvard).
+ */
+
+const BIBTEX_TYPES = {
+    article: 'Journal Article',
+    inproceedings: 'Conference Paper',
+    conference: 'Conference Paper',
+    incollection: 'Book Section',
+    inbook: 'Book Section',
+    book: 'Book',
+    phdthesis: 'Thesis',
+    mastersthesis: 'Thesis',
+    thesis: 'Thesis',
+    techreport: 'Report',
+    report: 'Report',
+    online: 'Webpage',
+    electronic: 'Webpage',
+    unpublished: 'Manuscript'
+};
+
+const RIS_TYPES = {
+    JOUR: 'Journal Article',
+    JFULL: 'Journal Article',
+    EJOUR: 'Journal Article',
+    CONF: 'Conference Paper',
+    CPAPER: 'Conference Paper',
+    CHAP: 'Book Section',
+    ECHAP: 'Book Section',
+    BOOK: 'Book',
+    EBOOK: 'Book',
+    THES: 'Thesis',
+    RPRT: 'Report',
+    ELEC: 'Webpage',
+    WEB: 'Webpage',
+    UNPB: 'Manuscript'
+};
+
+// LaTeX accent commands -> combining characters
+const LATEX_ACCENTS = {
+    '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303',
+    '=': '\u0304', '.': '\u0307', 'c': '\u0327', 'v': '\u030C', 'u': '\u0306', 'H': '\u030B'
+};
+const LATEX_SYMBOLS = { ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı' };
+
+const decodeLatex = (value = '') => value
+    .replace(/\\([`'^"~=.])\s*\{?\\?([A-Za-z])\}?/g, (m, accent, ch) => (ch + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\([cvuH])\s*\{\\?([A-Za-z])\}/g, (m, accent, ch) => (ch + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\(ss|ae|AE|aa|AA|o|O|l|L|i)\b\s*(\{\})?/g, (m, symbol) => LATEX_SYMBOLS[symbol])
+    .replace(/\\(textit|textbf|emph|textsc|mathrm|url)\s*\{/g, '{')
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const cleanDoi = (doi = '') => doi.trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '');
+
+const parseYear = (value = '') => {
+    const match = value.match(/\b(\d{4})\b/);
+    return match ? match[1] : '';
+};
+
+const splitKeywords = (values) => values
+    .flatMap(value => value.split(/[;,\n]/))
+    .map(value => value.trim())
+    .filter(Boolean)
+    .join(', ');
+
+// "Doe, Jane" stays; "Jane Doe" -> "Doe, Jane"; "{World Health Organization}" keeps its braces
+// so parseAuthors reads it as a corporate name rather than splitting it into family / given
+const formatName = (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return '';
+    if (/^\{.*\}$/.test(trimmed)) return `{${decodeLatex(trimmed.slice(1, -1))}}`;
+    if (trimmed.includes(',')) return decodeLatex(trimmed);
+    const parts = decodeLatex(trimmed).split(/\s+/);
+    if (parts.length === 1) return parts[0];
+    // Keep particles (van, de, von) with the family name
+    let familyStart = parts.length - 1;
+    while (familyStart > 1 && /^(van|von|de|der|den|del|della|di|da|du|la|le)$/i.test(parts[familyStart - 1])) familyStart--;
+    return `${parts.slice(familyStart).join(' ')}, ${parts.slice(0, familyStart).join(' ')}`;
+};
+
+// Split on a separator that is not inside braces
+const splitTopLevel = (value, separator) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+        const ch = value[i];
+        if (ch === '{') depth++;
+        if (ch === '}') depth--;
+        if (depth === 0) {
+            const match = value.slice(i).match(separator);
+            if (match && match.index === 0) {
+                parts.push(current);
+                current = '';
+                i += match[0].length - 1;
+                continue;
+            }
+        }
+        current += ch;
+    }
+    parts.push(current);
+    return parts;
+};
+
+/**
+ * Parse BibTeX text into [{ key, entryType, fields }] (field names lower-cased,
+ * values with @string macros expanded but LaTeX still encoded)
+ */
+function parseBibtex(text = '') {
+    const strings = {};
+    const entries = [];
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+
+    const readBraced = () => {
+        let depth = 0;
+        const start = pos;
+        for (; pos < text.length; pos++) {
+            if (text[pos] === '{') depth++;
+            else if (text[pos] === '}') {
+                depth--;
+                if (depth === 0) {
+                    pos++;
+                    return text.slice(start + 1, pos - 1);
+                }
+            }
+        }
+        throw new Error('Unbalanced braces');
+    };
+
+    const readQuoted = () => {
+        let depth = 0;
+        const start = ++pos;
+        for (; pos < text.length; pos++) {
+            if (text[pos] === '{') depth++;
+            else if (text[pos] === '}') depth--;
+            else if (text[pos] === '"' && depth === 0 && text[pos - 1] !== '\\') {
+                pos++;
+                return text.slice(start, pos - 1);
+            }
+        }
+        throw new Error('Unterminated string');
+    };
+
+    // value = part ( # part )*
+    const readValue = () => {
+        let value = '';
+        for (;;) {
+            skipSpace();
+            if (text[pos] === '{') value += readBraced();
+            else if (text[pos] === '"') value += readQuoted();
+            else {
+                const match = text.slice(pos).match(/^[^\s,#})]+/);
+                if (!match) break;
+                pos += match[0].length;
+                value += /^\d+$/.test(match[0]) ? match[0] : (strings[match[0].toLowerCase()] ?? match[0]);
+            }
+            skipSpace();
+            if (text[pos] !== '#') break;
+            pos++;
+        }
+        return value;
+    };
+
+    while ((pos = text.indexOf('@', pos)) !== -1) {
+        pos++;
+        const typeMatch = text.slice(pos).match(/^\s*([A-Za-z]+)\s*([{(])/);
+        if (!typeMatch) continue;
+        const entryType = typeMatch[1].toLowerCase();
+        const close = typeMatch[2] === '{' ? '}' : ')';
+        pos += typeMatch[0].length;
+
+        if (entryType === 'comment' || entryType === 'preamble') {
+            pos -= 1;
+            if (text[pos] === '{') readBraced();
+            continue;
+        }
+
+        let key = null;
+        try {
+            if (entryType === 'string') {
+                skipSpace();
+                const name = text.slice(pos).match(/^[^\s=]+/)[0];
+                pos += name.length;
+                skipSpace();
+                pos++; // '='
+                strings[name.toLowerCase()] = readValue();
+                skipSpace();
+                if (text[pos] === close) pos++;
+                continue;
+            }
+
+            skipSpace();
+            const keyMatch = text.slice(pos).match(/^([^,\s]*)\s*,/);
+            key = keyMatch ? keyMatch[1] : '';
+            if (keyMatch) pos += keyMatch[0].length;
+
+            const fields = {};
+            for (;;) {
+                skipSpace();
+                if (text[pos] === close || pos >= text.length) {
+                    pos++;
+                    break;
+                }
+                const nameMatch = text.slice(pos).match(/^([^\s=,]+)\s*=/);
+                if (!nameMatch) throw new Error(`Malformed field near "${text.slice(pos, pos + 20)}"`);
+                pos += nameMatch[0].length;
+                fields[nameMatch[1].toLowerCase()] = readValue().trim();
+                skipSpace();
+                if (text[pos] === ',') pos++;
+            }
+
+            entries.push({ key, entryType, fields });
+        } catch (error) {
+            entries.push({ key, entryType, fields: null, error: error.message });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Parse RIS text into [{ type, tags: { TAG: [values] } }]
+ */
+function parseRis(text = '') {
+    const records = [];
+    let record = null;
+    let lastTag = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+        if (!match) {
+            // Continuation of a wrapped value
+            if (record && lastTag && line.trim()) {
+                const values = record.tags[lastTag];
+                values[values.length - 1] += ` ${line.trim()}`;
+            }
+            return;
+        }
+
+        const [, tag, value] = match;
+        if (tag === 'TY') {
+            record = { type: value.trim(), tags: {} };
+            lastTag = null;
+            return;
+        }
+        if (!record) return;
+        if (tag === 'ER') {
+            records.push(record);
+            record = null;
+            return;
+        }
+        record.tags[tag] = record.tags[tag] || [];
+        record.tags[tag].push(value.trim());
+        lastTag = tag;
+    });
+
+    if (record) records.push(record);
+    return records;
+}
+
+/**
+ * Reference fields from a parsed BibTeX entry
+ */
+function bibtexToReference(entry) {
+    const f = entry.fields;
+    const field = (name) => (f[name] ? decodeLatex(f[name]) : '');
+    const authors = f.author || f.editor || '';
+
+    return {
+        title: field('title'),
+        authors: authors ? splitTopLevel(authors, /^\s+and\s+/i).map(formatName).filter(Boolean).join('; ') : '',
+        year: parseYear(f.year || f.date || ''),
+        source: field('journal') || field('journaltitle') || field('booktitle') || field('publisher') || field('school') || field('institution'),
+        type: BIBTEX_TYPES[entry.entryType] || 'Article',
+        doi: cleanDoi(field('doi')),
+        keywords: f.keywords ? splitKeywords([field('keywords')]) : '',
+        url: f.url ? f.url.trim() : '',
+        summary: field('abstract')
+    };
+}
+
+/**
+ * Reference fields from a parsed RIS record
+ */
+function risToReference(record) {
+    const first = (...tags) => {
+        for (const tag of tags) {
+            if (record.tags[tag]?.[0]) return record.tags[tag][0];
+        }
+        return '';
+    };
+    const authorTags = record.tags.AU?.length ? record.tags.AU : (record.tags.A1 || []);
+
+    return {
+        title: first('TI', 'T1', 'CT'),
+        authors: authorTags.map(formatName).filter(Boolean).join('; '),
+        year: parseYear(first('PY', 'Y1', 'DA')),
+        source: first('JO', 'JF', 'T2', 'JA', 'J2', 'BT', 'PB'),
+        type: RIS_TYPES[record.type] || 'Article',
+        doi: cleanDoi(first('DO')),
+        keywords: splitKeywords(record.tags.KW || []),
+        url: first('UR', 'L2'),
+        summary: first('AB', 'N2')
+    };
+}
+
+/**
+ * Guess the format of an export from its file name or content
+ */
+function detectBibliographyFormat(content = '', fileName = '') {
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'bib' || extension === 'bibtex') return 'bibtex';
+    if (extension === 'ris') return 'ris';
+    if (/^\s*TY  - /m.test(content)) return 'ris';
+    if (/@[A-Za-z]+\s*[{(]/.test(content)) return 'bibtex';
+    return null;
+}
+
+/**
+ * Parse a BibTeX or RIS export into [{ key, reference, error }]
+ */
+function parseBibliography(content, format) {
+    if (format === 'bibtex') {
+        return parseBibtex(content).map(entry => entry.error
+            ? { key: entry.key, reference: null, error: entry.error }
+            : { key: entry.key, reference: bibtexToReference(entry), error: null });
+    }
+    if (format === 'ris') {
+        return parseRis(content).map((record, index) => ({
+            key: record.tags.ID?.[0] || `record_${index + 1}`,
+            reference: risToReference(record),
+            error: null
+        }));
+    }
+    throw new Error(`Unsupported bibliography format: ${format}`);
+}
+
+// Export: reference type -> BibTeX entry type, RIS type and CSL type
+const EXPORT_TYPES = {
+    'Journal Article': { bibtex: 'article', ris: 'JOUR', csl: 'article-journal' },
+    'Conference Paper': { bibtex: 'inproceedings', ris: 'CONF', csl: 'paper-conference' },
+    'Book Section': { bibtex: 'incollection', ris: 'CHAP', csl: 'chapter' },
+    'Book': { bibtex: 'book', ris: 'BOOK', csl: 'book' },
+    'Thesis': { bibtex: 'phdthesis', ris: 'THES', csl: 'thesis' },
+    'Report': { bibtex: 'techreport', ris: 'RPRT', csl: 'report' },
+    'Webpage': { bibtex: 'misc', ris: 'ELEC', csl: 'webpage' },
+    'Manuscript': { bibtex: 'unpublished', ris: 'UNPB', csl: 'manuscript' },
+    'Preprint': { bibtex: 'misc', ris: 'UNPB', csl: 'article' }
+};
+const DEFAULT_EXPORT_TYPE = { bibtex: 'article', ris: 'JOUR', csl: 'article-journal' };
+
+// BibTeX field holding the reference's source, by entry type
+const BIBTEX_SOURCE_FIELDS = {
+    article: 'journal',
+    inproceedings: 'booktitle',
+    incollection: 'booktitle',
+    book: 'publisher',
+    phdthesis: 'school',
+    techreport: 'institution'
+};
+
+// RIS tag holding the reference's source (T2 otherwise)
+const RIS_SOURCE_TAGS = { JOUR: 'JO', BOOK: 'PB', THES: 'PB', RPRT: 'PB' };
+
+const BIBLIOGRAPHY_STYLES = ['apa', 'chicago', 'harvard'];
+
+const exportType = (reference) => EXPORT_TYPES[reference.type] || DEFAULT_EXPORT_TYPE;
+
+const asList = (value) => {
+    if (Array.isArray(value)) return value.map(item => (typeof item === 'string' ? item.trim() : item)).filter(Boolean);
+    return (value || '').toString().split(/[;,]/).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Authors of a reference as [{ family, given }] or [{ literal }]. Accepts the
+ * "Family, Given; Family, Given" string, "A and B" strings and arrays; a name
+ * in braces ("{World Health Organization}") is kept whole as a literal.
+ */
+function parseAuthors(authors) {
+    if (!authors) return [];
+    const names = Array.isArray(authors)
+        ? authors
+        : (authors.includes(';') ? splitTopLevel(authors, /^;/) : splitTopLevel(authors, /^\s+(?:and|&)\s+/));
+
+    return names
+        .map(name => {
+            if (name && typeof name === 'object') {
+                return name.family ? { family: name.family, given: name.given || '' } : { literal: name.literal || name.name || '' };
+            }
+            const trimmed = (name || '').trim();
+            if (!trimmed || /^unknown author$/i.test(trimmed)) return null;
+            const braced = trimmed.match(/^\{(.*)\}$/);
+            if (braced) return { literal: braced[1].trim() };
+            if (trimmed.includes(',')) {
+                const [family, ...given] = trimmed.split(',');
+                return { family: family.trim(), given: given.join(',').trim() };
+            }
+            const parts = trimmed.split(/\s+/);
+            if (parts.length === 1) return { literal: trimmed };
+            return { family: parts[parts.length - 1], given: parts.slice(0, -1).join(' ') };
+        })
+        .filter(author => author && (author.family || author.literal));
+}
+
+const initials = (given = '') => given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-'))
+    .join(' ');
+
+const displayYear = (reference) => (reference.year ? String(reference.year) : 'n.d.');
+const doiUrl = (reference) => (reference.doi ? `https://doi.org/${cleanDoi(reference.doi)}` : (reference.url || ''));
+const withPeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+const joinNames = (names, conjunction) => {
+    if (names.length <= 1) return names.join('');
+    if (names.length === 2) return `${names[0]}${conjunction === ', &' ? ',' : ''} ${conjunction.replace(', ', '')} ${names[1]}`;
+    return `${names.slice(0, -1).join(', ')}${conjunction.startsWith(',') ? ',' : ''} ${conjunction.replace(', ', '')} ${names[names.length - 1]}`;
+};
+
+const STYLE_FORMATTERS = {
+    // Doe, J., & Smith, J. A. (2021). Title. Source. https://doi.org/...
+    apa: (reference) => {
+        const authors = parseAuthors(reference.authors).map(a => (a.literal ? a.literal : `${a.family}, ${initials(a.given)}`.replace(/, $/, '')));
+        let names = joinNames(authors, ', &');
+        if (authors.length > 20) names = `${authors.slice(0, 19).join(', ')}, . . . ${authors[authors.length - 1]}`;
+        const parts = [];
+        parts.push(names ? `${withPeriod(names)} (${displayYear(reference)}).` : `${withPeriod(reference.title || 'Untitled')} (${displayYear(reference)}).`);
+        if (names) parts.push(withPeriod(reference.title || 'Untitled'));
+        if (reference.source) parts.push(withPeriod(reference.source));
+        if (doiUrl(reference)) parts.push(doiUrl(reference));
+        return parts.join(' ');
+    },
+    // Doe, Jane, and John Smith. 2021. "Title." Source. https://doi.org/...
+    chicago: (reference) => {
+        const authors = parseAuthors(reference.authors).map((a, index) => {
+            if (a.literal) return a.literal;
+            return index === 0 ? `${a.family}, ${a.given}`.replace(/, $/, '') : `${a.given} ${a.family}`.trim();
+        });
+        const names = joinNames(authors, ', and');
+        const parts = [];
+        if (names) parts.push(withPeriod(names));
+        parts.push(withPeriod(displayYear(reference)));
+        parts.push(`"${withPeriod(reference.title || 'Untitled')}"`);
+        if (reference.source) parts.push(withPeriod(reference.source));
+        if (doiUrl(reference)) parts.push(withPeriod(doiUrl(reference)));
+        return parts.join(' ');
+    },
+    // Doe, J. and Smith, J. (2021) 'Title', Source. Available at: https://doi.org/...
+    harvard: (reference) => {
+        const authors = parseAuthors(reference.authors).map(a => (a.literal ? a.literal : `${a.family}, ${initials(a.given)}`.replace(/, $/, '')));
+        const names = joinNames(authors, 'and');
+        let entry = `${names || reference.title || 'Untitled'} (${displayYear(reference)})`;
+        if (names) entry += ` '${reference.title || 'Untitled'}'`;
+        if (reference.source) entry += `, ${reference.source}`;
+        entry = withPeriod(entry);
+        if (doiUrl(reference)) entry += ` Available at: ${doiUrl(reference)}.`;
+        return entry;
+    }
+};
+
+const sortKey = (reference) => {
+    const [first] = parseAuthors(reference.authors);
+    return `${(first?.family || first?.literal || reference.title || '').toLowerCase()} ${displayYear(reference)}`;
+};
+
+/**
+ * Formatted bibliography (one entry per line, sorted by first author and year)
+ */
+function formatBibliography(references, style = 'apa') {
+    const formatter = STYLE_FORMATTERS[style];
+    if (!formatter) throw new Error(`Unsupported citation style: ${style}`);
+    return [...references]
+        .sort((a, b) => sortKey(a).localeCompare(sortKey(b)))
+        .map(formatter);
+}
+
+const escapeBibtex = (value) => String(value).replace(/([&%$#_])/g, '\\$1');
+
+// doe2021precarity, with a/b suffixes for clashes
+const buildCitationKeys = (references) => {
+    const used = new Map();
+    return references.map(reference => {
+        const [first] = parseAuthors(reference.authors);
+        const name = (first?.family || first?.literal || 'anon').normalize('NFD').replace(/[^A-Za-z]/g, '').toLowerCase();
+        const word = ((reference.title || '').normalize('NFD').toLowerCase().match(/[a-z]{4,}/) || [''])[0];
+        const base = `${name}${reference.year || ''}${word}`;
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        return count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+    });
+};
+
+/**
+ * BibTeX export
+ */
+function toBibtex(references) {
+    const keys = buildCitationKeys(references);
+    return references.map((reference, index) => {
+        const entryType = exportType(reference).bibtex;
+        const authors = parseAuthors(reference.authors)
+            .map(a => (a.literal ? `{${a.literal}}` : `${a.family}, ${a.given}`.replace(/, $/, '')))
+            .join(' and ');
+        const fields = [
+            ['title', reference.title ? `{${escapeBibtex(reference.title)}}` : null],
+            ['author', authors ? escapeBibtex(authors) : null],
+            ['year', reference.year],
+            [BIBTEX_SOURCE_FIELDS[entryType] || 'howpublished', reference.source ? escapeBibtex(reference.source) : null],
+            ['doi', reference.doi ? cleanDoi(reference.doi) : null],
+            ['url', reference.url],
+            ['keywords', asList(reference.keywords).length ? escapeBibtex(asList(reference.keywords).join(', ')) : null],
+            ['abstract', reference.summary ? escapeBibtex(reference.summary) : null]
+        ].filter(([, value]) => value);
+
+        const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+        return `@${entryType}{${keys[index]},\n${body}\n}`;
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * RIS export
+ */
+function toRis(references) {
+    return references.map(reference => {
+        const type = exportType(reference).ris;
+        const lines = [`TY  - ${type}`];
+        parseAuthors(reference.authors).forEach(a => lines.push(`AU  - ${a.literal || `${a.family}, ${a.given}`.replace(/, $/, '')}`));
+        if (reference.title) lines.push(`TI  - ${reference.title}`);
+        if (reference.year) lines.push(`PY  - ${reference.year}`);
+        if (reference.source) lines.push(`${RIS_SOURCE_TAGS[type] || 'T2'}  - ${reference.source}`);
+        if (reference.doi) lines.push(`DO  - ${cleanDoi(reference.doi)}`);
+        if (reference.url) lines.push(`UR  - ${reference.url}`);
+        asList(reference.keywords).forEach(keyword => lines.push(`KW  - ${keyword}`));
+        if (reference.summary) lines.push(`AB  - ${reference.summary.replace(/\s+/g, ' ')}`);
+        lines.push('ER  - ');
+        return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * CSL-JSON export (citeproc / Pandoc / Zotero)
+ */
+function toCslJson(references) {
+    return references.map(reference => {
+        const item = {
+            id: reference.id,
+            type: exportType(reference).csl,
+            title: reference.title || undefined,
+            author: parseAuthors(reference.authors),
+            'container-title': reference.source || undefined,
+            DOI: reference.doi ? cleanDoi(reference.doi) : undefined,
+            URL: reference.url || undefined,
+            abstract: reference.summary || undefined,
+            keyword: asList(reference.keywords).join(', ') || undefined
+        };
+        const year = parseInt(reference.year, 10);
+        if (!Number.isNaN(year)) item.issued = { 'date-parts': [[year]] };
+        return item;
+    });
+}
+
+module.exports = {
+    BIBLIOGRAPHY_STYLES,
+    parseBibtex,
+    parseRis,
+    bibtexToReference,
+    risToReference,
+    detectBibliographyFormat,
+    parseBibliography,
+    parseAuthors,
+    formatBibliography,
+    toBibtex,
+    toRis,
+    toCslJson
+};
@@ -1,4 +1,6 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+
+const UPLOAD_BLOCK_SIZE = 4 * 1024 * 1024;
 
 let blobServiceClient = null;
 
@@ -45,6 +47,15 @@ async function downloadBlob(containerName, blobName) {
     return Buffer.concat(chunks);
 }
 
+// Readable stream of a blob's content, for files too large to buffer
+async function downloadBlobStream(containerName, blobName) {
+    const containerClient = getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    const downloadResponse = await blockBlobClient.download(0);
+    return downloadResponse.readableStreamBody;
+}
+
 async function deleteBlob(containerName, blobName) {
     const containerClient = getContainerClient(containerName);
     const blockBlobClient = containerClient.getBlockBlobClient(blobName);
@@ -76,12 +87,126 @@ async function listBlobs(containerName, prefix = '') {
     return blobs;
 }
 
+function getBlobUrl(containerName, blobName) {
+    return getContainerClient(containerName).getBlockBlobClient(blobName).url;
+}
+
+// Read-only SAS link, so blobs in private containers can be opened until `expiresOn`.
+// Needs a connection string with an account key.
+async function getReadSasUrl(containerName, blobName, { expiresOn, fileName } = {}) {
+    const containerClient = getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    return await blockBlobClient.generateSasUrl({
+        permissions: BlobSASPermissions.parse('r'),
+        // Allow for clock skew between this host and the storage service
+        startsOn: new Date(Date.now() - 5 * 60 * 1000),
+        expiresOn,
+        contentDisposition: fileName ? `inline; filename*=UTF-8''${encodeURIComponent(fileName)}` : undefined
+    });
+}
+
+async function setBlobContentType(containerName, blobName, contentType) {
+    const containerClient = getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    await blockBlobClient.setHTTPHeaders({ blobContentType: contentType });
+}
+
+// Server-side copy within the storage account
+async function copyBlob(containerName, sourceBlobName, targetBlobName) {
+    const containerClient = getContainerClient(containerName);
+    const source = containerClient.getBlockBlobClient(sourceBlobName);
+    const target = containerClient.getBlockBlobClient(targetBlobName);
+
+    const poller = await target.beginCopyFromURL(source.url);
+    await poller.pollUntilDone();
+    return target.url;
+}
+
+// Block ids must be base64 strings of equal length within a blob
+function blockId(index) {
+    return Buffer.from(String(index).padStart(6, '0')).toString('base64');
+}
+
+// With `contentMD5` (a Buffer) the service rejects a block that arrived damaged (code Md5Mismatch)
+async function stageBlock(containerName, blobName, id, buffer, { contentMD5 } = {}) {
+    const containerClient = getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    await blockBlobClient.stageBlock(id, buffer, buffer.length, contentMD5 ? { transactionalContentMD5: contentMD5 } : {});
+    return id;
+}
+
+// Staged blocks not yet committed, as [{ name, size }]; empty when nothing is staged
+async function listStagedBlocks(containerName, blobName) {
+    const containerClient = getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    try {
+        const blockList = await blockBlobClient.getBlockList('uncommitted');
+        return blockList.uncommittedBlocks || [];
+    } catch (error) {
+        if (error.statusCode === 404) return [];
+        throw error;
+    }
+}
+
+async function commitBlocks(containerName, blobName, blockIds, contentType = 'application/octet-stream') {
+    const containerClient = getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    await blockBlobClient.commitBlockList(blockIds, {
+        blobHTTPHeaders: {
+            blobContentType: contentType
+        }
+    });
+
+    return blockBlobClient.url;
+}
+
+// Stage an async iterable of Buffers as blocks of about UPLOAD_BLOCK_SIZE, then commit them.
+// Nothing is visible until the commit, so a failed stream leaves no blob behind.
+async function uploadBlobStream(containerName, blobName, chunks, contentType = 'application/octet-stream') {
+    const blockIds = [];
+    let pending = [];
+    let pendingLength = 0;
+    let size = 0;
+
+    const flush = async () => {
+        blockIds.push(await stageBlock(containerName, blobName, blockId(blockIds.length), Buffer.concat(pending)));
+        pending = [];
+        pendingLength = 0;
+    };
+
+    for await (const chunk of chunks) {
+        pending.push(chunk);
+        pendingLength += chunk.length;
+        size += chunk.length;
+        if (pendingLength >= UPLOAD_BLOCK_SIZE) await flush();
+    }
+    if (pendingLength > 0 || blockIds.length === 0) await flush();
+
+    const url = await commitBlocks(containerName, blobName, blockIds, contentType);
+    return { url, size };
+}
+
 module.exports = {
     getBlobServiceClient,
     getContainerClient,
     uploadBlob,
     downloadBlob,
+    downloadBlobStream,
     deleteBlob,
     blobExists,
-    listBlobs
+    listBlobs,
+    getBlobUrl,
+    getReadSasUrl,
+    setBlobContentType,
+    copyBlob,
+    blockId,
+    stageBlock,
+    listStagedBlocks,
+    commitBlocks,
+    uploadBlobStream
 };
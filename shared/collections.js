@@ -0,0 +1,104 @@
+/**
+ * Collection Utility
+ * Named, nestable collections of references (e.g. one per thesis chapter).
+ * Collections live in their own container with a `parentId`; a reference lists
+ * the collections it belongs to in its `collections` array.
+ */
+
+const { queryItems } = require('./cosmosClient');
+
+const CONTAINER_COLLECTIONS = process.env.COSMOSDB_CONTAINER_COLLECTIONS || 'collections';
+
+async function listCollections() {
+    return queryItems(CONTAINER_COLLECTIONS, {
+        query: 'SELECT * FROM c WHERE c.type = "collection"'
+    });
+}
+
+const childrenByParent = (collections) => {
+    const children = new Map();
+    collections.forEach(collection => {
+        const parentId = collection.parentId || null;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(collection);
+    });
+    children.forEach(list => list.sort((a, b) => a.name.localeCompare(b.name)));
+    return children;
+};
+
+/**
+ * Ids of a collection and everything nested below it
+ */
+function descendantIds(collections, collectionId) {
+    const children = childrenByParent(collections);
+    const ids = [];
+    const visit = (id) => {
+        ids.push(id);
+        (children.get(id) || []).forEach(child => visit(child.id));
+    };
+    visit(collectionId);
+    return ids;
+}
+
+/**
+ * Names from the root down to a collection: ['Thesis', 'Chapter 2']
+ */
+function collectionPath(collections, collectionId) {
+    const byId = new Map(collections.map(collection => [collection.id, collection]));
+    const path = [];
+    const seen = new Set();
+    let current = byId.get(collectionId);
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift(current.name);
+        current = byId.get(current.parentId);
+    }
+    return path;
+}
+
+/**
+ * Nested tree [{ ...collection, referenceCount, children: [] }]; counts are direct members only
+ */
+function buildCollectionTree(collections, referenceCounts = {}) {
+    const children = childrenByParent(collections);
+    const build = (parentId) => (children.get(parentId) || []).map(collection => ({
+        ...collection,
+        referenceCount: referenceCounts[collection.id] || 0,
+        children: build(collection.id)
+    }));
+    // Collections whose parent was removed show at the top level
+    const ids = new Set(collections.map(collection => collection.id));
+    const orphans = collections.filter(collection => collection.parentId && !ids.has(collection.parentId));
+    return [...build(null), ...orphans.map(collection => ({
+        ...collection,
+        referenceCount: referenceCounts[collection.id] || 0,
+        children: build(collection.id)
+    }))];
+}
+
+/**
+ * Collection ids a `collection` filter covers: the collection itself, plus its
+ * descendants when `recursive`. Null when the collection does not exist.
+ */
+async function resolveCollectionScope(collectionId, { recursive = false } = {}) {
+    const collections = await listCollections();
+    if (!collections.some(collection => collection.id === collectionId)) return null;
+    return recursive ? descendantIds(collections, collectionId) : [collectionId];
+}
+
+/**
+ * Whether a reference belongs to any of the given collections
+ */
+function inCollections(reference, collectionIds) {
+    return Array.isArray(reference.collections) && reference.collections.some(id => collectionIds.includes(id));
+}
+
+module.exports = {
+    CONTAINER_COLLECTIONS,
+    listCollections,
+    descendantIds,
+    collectionPath,
+    buildCollectionTree,
+    resolveCollectionScope,
+    inCollections
+};
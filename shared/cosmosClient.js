@@ -38,6 +38,21 @@ async function queryItems(containerName, querySpec) {
     return resources;
 }
 
+// One page of query results; pass the returned continuationToken to fetch the next page
+async function queryPage(containerName, querySpec, { maxItemCount = 50, continuationToken } = {}) {
+    const container = getContainer(containerName);
+    const iterator = container.items.query(querySpec, {
+        maxItemCount,
+        continuationToken: continuationToken || undefined
+    });
+    const { resources, continuationToken: nextToken, hasMoreResults } = await iterator.fetchNext();
+    return {
+        items: resources,
+        continuationToken: nextToken || null,
+        hasMore: Boolean(nextToken) && hasMoreResults !== false
+    };
+}
+
 async function getItem(containerName, id, partitionKey) {
     const container = getContainer(containerName);
     try {
@@ -57,9 +72,17 @@ async function createItem(containerName, item) {
     return resource;
 }
 
-async function upsertItem(containerName, item) {
+// Request options for a write that must only apply to the version with this _etag
+const ifMatchOptions = (ifMatch) => (ifMatch ? { accessCondition: { type: 'IfMatch', condition: ifMatch } } : undefined);
+
+// Writes made with { ifMatch } fail with error.code 412 when the stored _etag differs
+function isPreconditionFailed(error) {
+    return error?.code === 412 || error?.statusCode === 412;
+}
+
+async function upsertItem(containerName, item, { ifMatch } = {}) {
     const container = getContainer(containerName);
-    const { resource } = await container.items.upsert(item);
+    const { resource } = await container.items.upsert(item, ifMatchOptions(ifMatch));
     return resource;
 }
 
@@ -69,20 +92,37 @@ async function deleteItem(containerName, id, partitionKey) {
     return { success: true };
 }
 
-async function replaceItem(containerName, id, partitionKey, item) {
+async function replaceItem(containerName, id, partitionKey, item, { ifMatch } = {}) {
     const container = getContainer(containerName);
-    const { resource } = await container.item(id, partitionKey).replace(item);
+    const { resource } = await container.item(id, partitionKey).replace(item, ifMatchOptions(ifMatch));
     return resource;
 }
 
+// The service accepts at most 100 operations per bulk request
+const BULK_CHUNK_SIZE = 100;
+
+// Bulk Create/Upsert/Replace/Delete operations; results ({ statusCode, resourceBody }) line up with `operations`
+async function bulkItems(containerName, operations) {
+    const container = getContainer(containerName);
+    const results = [];
+    for (let i = 0; i < operations.length; i += BULK_CHUNK_SIZE) {
+        const response = await container.items.bulk(operations.slice(i, i + BULK_CHUNK_SIZE), { continueOnError: true });
+        results.push(...response);
+    }
+    return results;
+}
+
 module.exports = {
     getCosmosClient,
     getDatabase,
     getContainer,
     queryItems,
+    queryPage,
     getItem,
     createItem,
     upsertItem,
     deleteItem,
-    replaceItem
+    replaceItem,
+    bulkItems,
+    isPreconditionFailed
 };
@@ -0,0 +1,92 @@
+/**
+ * Embedding Provider Utility
+ * Pluggable text embeddings for the KB chunk index.
+ *
+ * A provider is an object with a `name` and an async `embed(texts)` method
+ * resolving to one numeric vector per input text.
+ */
+
+const OpenAI = require('openai');
+
+const LOCAL_DIMENSIONS = 256;
+
+const providers = {};
+
+/**
+ * OpenAI embeddings (text-embedding-3-small by default)
+ */
+const openAIProvider = {
+    name: 'openai',
+    isConfigured() {
+        return Boolean(process.env.OPENAI_API_KEY);
+    },
+    async embed(texts) {
+        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        const model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+        const response = await openai.embeddings.create({
+            model: model,
+            input: texts
+        });
+
+        return response.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+};
+
+/**
+ * Deterministic local stand-in: hashed bag-of-words vectors.
+ * Needs no network access or API key, for offline development.
+ */
+const localProvider = {
+    name: 'local',
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+            const tokens = (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+            tokens.forEach(token => {
+                // FNV-1a hash of the token picks the bucket
+                let hash = 2166136261;
+                for (let i = 0; i < token.length; i++) {
+                    hash ^= token.charCodeAt(i);
+                    hash = Math.imul(hash, 16777619);
+                }
+                vector[(hash >>> 0) % LOCAL_DIMENSIONS] += 1;
+            });
+
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        });
+    }
+};
+
+/**
+ * Register an embedding provider under a name (overrides any existing provider)
+ */
+function registerEmbeddingProvider(name, provider) {
+    if (!provider || typeof provider.embed !== 'function') {
+        throw new Error('Embedding provider must implement embed(texts)');
+    }
+    providers[name] = provider;
+}
+
+/**
+ * Get the embedding provider selected by EMBEDDING_PROVIDER (defaults to openai)
+ * Returns null when the provider is unknown or not configured
+ */
+function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'openai') {
+    const provider = providers[name];
+    if (!provider) return null;
+    if (typeof provider.isConfigured === 'function' && !provider.isConfigured()) return null;
+    return provider;
+}
+
+registerEmbeddingProvider(openAIProvider.name, openAIProvider);
+registerEmbeddingProvider(localProvider.name, localProvider);
+
+module.exports = {
+    registerEmbeddingProvider,
+    getEmbeddingProvider
+};
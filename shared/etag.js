@@ -0,0 +1,44 @@
+/**
+ * ETag Utility
+ * If-Match handling for optimistic concurrency on Cosmos documents. The
+ * document's `_etag` is sent as the ETag header; clients echo it in If-Match
+ * and get a 412 with the current server version when someone else saved first.
+ */
+
+/**
+ * If-Match header value in Cosmos' quoted form, or null when not sent
+ */
+function readIfMatch(request) {
+    const value = (request.headers.get('if-match') || '').trim();
+    if (!value) return null;
+    if (value === '*' || value.startsWith('"') || value.startsWith('W/')) return value;
+    return `"${value}"`;
+}
+
+/**
+ * Whether a stored document satisfies the If-Match value (`*` matches any existing document)
+ */
+function etagMatches(ifMatch, item) {
+    if (!ifMatch) return true;
+    if (!item) return false;
+    return ifMatch === '*' || ifMatch.replace(/^W\//, '') === item._etag;
+}
+
+/**
+ * 412 response carrying the current server version for the client's merge prompt
+ */
+function preconditionFailed(current, message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (current?._etag) headers.ETag = current._etag;
+    return {
+        status: 412,
+        headers,
+        body: JSON.stringify({ error: message, current: current || null })
+    };
+}
+
+module.exports = {
+    readIfMatch,
+    etagMatches,
+    preconditionFailed
+};
@@ -0,0 +1,112 @@
+/**
+ * File Type Utility
+ * Detects what an uploaded file really is from its first bytes (magic numbers,
+ * ZIP container entries, UTF-8 text), falling back to the file extension only
+ * to tell plain-text formats apart. Client-supplied content types are ignored.
+ */
+
+const FILE_TYPES = {
+    pdf: { mimeType: 'application/pdf', extensions: ['pdf'] },
+    docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx'] },
+    pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['pptx'] },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['xlsx'] },
+    epub: { mimeType: 'application/epub+zip', extensions: ['epub'] },
+    odt: { mimeType: 'application/vnd.oasis.opendocument.text', extensions: ['odt'] },
+    rtf: { mimeType: 'application/rtf', extensions: ['rtf'] },
+    png: { mimeType: 'image/png', extensions: ['png'] },
+    jpeg: { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'] },
+    gif: { mimeType: 'image/gif', extensions: ['gif'] },
+    html: { mimeType: 'text/html', extensions: ['html', 'htm'] },
+    markdown: { mimeType: 'text/markdown', extensions: ['md', 'markdown'] },
+    csv: { mimeType: 'text/csv', extensions: ['csv'] },
+    txt: { mimeType: 'text/plain', extensions: ['txt'] }
+};
+
+// Enough to see the first entries of a ZIP container
+const SNIFF_BYTES = 64 * 1024;
+
+const fileExtension = (fileName) => {
+    const match = (fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+};
+
+const startsWith = (head, bytes) => bytes.every((byte, i) => head[i] === byte);
+
+// OOXML and OpenDocument files are ZIP archives; their entry names give them away
+const detectZipType = (head) => {
+    const text = head.toString('latin1');
+    if (text.includes('mimetypeapplication/epub+zip')) return 'epub';
+    if (text.includes('mimetypeapplication/vnd.oasis.opendocument.text')) return 'odt';
+    if (text.includes('word/')) return 'docx';
+    if (text.includes('ppt/')) return 'pptx';
+    if (text.includes('xl/')) return 'xlsx';
+    return null;
+};
+
+const isUtf8Text = (head) => {
+    if (head.includes(0)) return false;
+    try {
+        // A multi-byte character may be cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, Math.max(0, head.length - 3)));
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const detectTextType = (head, extension) => {
+    const start = head.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (start.startsWith('<!doctype html') || start.startsWith('<html') || FILE_TYPES.html.extensions.includes(extension)) return 'html';
+    if (FILE_TYPES.markdown.extensions.includes(extension)) return 'markdown';
+    if (FILE_TYPES.csv.extensions.includes(extension)) return 'csv';
+    return 'txt';
+};
+
+// PDF readers accept a header anywhere in the first kilobyte, but only after whitespace or binary
+// junk; printable text before "%PDF-" (a note or web page quoting it) means it is not a PDF
+const isPdf = (head) => {
+    const offset = head.subarray(0, 1024).indexOf('%PDF-');
+    return offset !== -1 && head.subarray(0, offset).every(byte => byte <= 0x20 || byte >= 0x7f);
+};
+
+/**
+ * { type, mimeType, extension } for the first bytes of a file (ideally
+ * SNIFF_BYTES of them), or null when the content is not a known type
+ */
+function detectFileType(head, fileName = '') {
+    const extension = fileExtension(fileName);
+    let type = null;
+
+    if (isPdf(head)) type = 'pdf';
+    else if (head.subarray(0, 5).toString('latin1') === '{\\rtf') type = 'rtf';
+    else if (startsWith(head, [0x89, 0x50, 0x4e, 0x47])) type = 'png';
+    else if (startsWith(head, [0xff, 0xd8, 0xff])) type = 'jpeg';
+    else if (head.subarray(0, 4).toString('latin1') === 'GIF8') type = 'gif';
+    else if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) type = detectZipType(head);
+    else if (head.length > 0 && isUtf8Text(head)) type = detectTextType(head, extension);
+
+    if (!type) return null;
+    return {
+        type,
+        mimeType: FILE_TYPES[type].mimeType,
+        extension: FILE_TYPES[type].extensions[0]
+    };
+}
+
+/**
+ * Type keys from a comma-separated setting such as "pdf,docx"; unknown keys throw
+ */
+function parseFileTypeList(value) {
+    const types = String(value || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.filter(type => !FILE_TYPES[type]);
+    if (unknown.length > 0) throw new Error(`Unknown file types in configuration: ${unknown.join(', ')}`);
+    return types;
+}
+
+module.exports = {
+    FILE_TYPES,
+    SNIFF_BYTES,
+    fileExtension,
+    detectFileType,
+    parseFileTypeList
+};
@@ -0,0 +1,270 @@
+/**
+ * Background Job Utility
+ * Long-running work (KB split, OCR, corpus analysis, ...) is stored as a job document
+ * in CosmosDB and processed in resumable batches by the queue-triggered JobWorker.
+ *
+ * A job handler is registered per job type:
+ *   registerJobHandler('kb-split', {
+ *       runBatch: async (job, context) => ({ done, cursor, progress: { processed, total }, errors, result }),
+ *       onFailure: async (job, error, context) => {}   // optional
+ *   });
+ *
+ * `cursor` is opaque handler state handed back on the next batch, so a job resumes
+ * where it stopped after a crash, timeout or redeploy.
+ *
+ * Each queue message carries the job's current `queueToken`. A worker claims the job
+ * with an `_etag` precondition before running a batch, and drops messages that lost
+ * the claim or were superseded by a newer token, so a job never runs twice at once.
+ */
+
+const { output } = require('@azure/functions');
+const { getItem, createItem, upsertItem, replaceItem, queryItems, isPreconditionFailed } = require('./cosmosClient');
+
+const CONTAINER_JOBS = process.env.COSMOSDB_CONTAINER_JOBS || 'jobs';
+const JOB_QUEUE_NAME = process.env.JOB_QUEUE_NAME || 'jobs';
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+const JOB_MAX_ERRORS = 500;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Functions that enqueue jobs must list this in their extraOutputs
+const jobQueueOutput = output.storageQueue({
+    queueName: JOB_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage'
+});
+
+const handlers = {};
+
+const newQueueToken = () => Math.random().toString(36).substr(2, 9);
+
+/**
+ * Register the batch handler for a job type
+ */
+function registerJobHandler(type, handler) {
+    if (!handler || typeof handler.runBatch !== 'function') {
+        throw new Error('Job handler must implement runBatch(job, context)');
+    }
+    handlers[type] = handler;
+}
+
+function getJobHandler(type) {
+    return handlers[type] || null;
+}
+
+/**
+ * Create a job document and queue it for the worker.
+ * `context` must belong to a function declaring jobQueueOutput in extraOutputs.
+ */
+async function enqueueJob(context, type, params = {}) {
+    if (!handlers[type]) {
+        throw new Error(`No job handler registered for type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = await createItem(CONTAINER_JOBS, {
+        id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        type: type,
+        status: JOB_STATUS.QUEUED,
+        params: params,
+        cursor: null,
+        progress: { processed: 0, total: null },
+        errors: [],
+        result: null,
+        attempts: 0,
+        lastError: null,
+        queueToken: newQueueToken(),
+        createdAt: now,
+        updatedAt: now
+    });
+
+    context.extraOutputs.set(jobQueueOutput, { jobId: job.id, token: job.queueToken });
+    context.log(`[Jobs] Enqueued ${type} job ${job.id}`);
+    return job;
+}
+
+async function getJob(id) {
+    return await getItem(CONTAINER_JOBS, id, id);
+}
+
+/**
+ * Find an unfinished job of a type for the same subject (e.g. referenceId)
+ */
+async function findActiveJob(type, paramName, paramValue) {
+    const jobs = await queryItems(CONTAINER_JOBS, {
+        query: `SELECT * FROM c WHERE c.type = @type AND c.params.${paramName} = @value AND (c.status = @queued OR c.status = @running)`,
+        parameters: [
+            { name: '@type', value: type },
+            { name: '@value', value: paramValue },
+            { name: '@queued', value: JOB_STATUS.QUEUED },
+            { name: '@running', value: JOB_STATUS.RUNNING }
+        ]
+    });
+    return jobs[0] || null;
+}
+
+/**
+ * Run one batch of the job named by a queue message and persist the outcome.
+ * Returns the message that queues the next batch, or null when there is none.
+ * A failed batch with attempts left rethrows its error, so the queue delivers the
+ * message again once the queue trigger's visibilityTimeout (host.json) has passed.
+ */
+async function runJobBatch(message, context) {
+    const job = await getJob(message.jobId);
+    if (!job) {
+        context.warn(`[Jobs] Job ${message.jobId} not found, dropping message`);
+        return null;
+    }
+    if (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) {
+        return null;
+    }
+
+    // A running job belongs to another worker (the watchdog re-queues it if that worker died),
+    // and a message whose token was replaced has been superseded by a newer one
+    if (job.status === JOB_STATUS.RUNNING || (message.token && job.queueToken && message.token !== job.queueToken)) {
+        context.warn(`[Jobs] Job ${job.id} is ${job.status === JOB_STATUS.RUNNING ? 'already running' : 're-queued'}, dropping message`);
+        return null;
+    }
+
+    const handler = getJobHandler(job.type);
+    if (!handler) {
+        await upsertItem(CONTAINER_JOBS, {
+            ...job,
+            status: JOB_STATUS.FAILED,
+            lastError: `No job handler registered for type: ${job.type}`,
+            updatedAt: new Date().toISOString()
+        });
+        return null;
+    }
+
+    // Claim the job; when two messages race for it only one write matches the etag
+    let running;
+    try {
+        running = await replaceItem(CONTAINER_JOBS, job.id, job.id, {
+            ...job,
+            status: JOB_STATUS.RUNNING,
+            startedAt: job.startedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }, { ifMatch: job._etag });
+    } catch (error) {
+        if (!isPreconditionFailed(error)) throw error;
+        context.warn(`[Jobs] Job ${job.id} was claimed by another worker, dropping message`);
+        return null;
+    }
+
+    // Save the batch outcome unless the watchdog re-queued the job meanwhile
+    const saveOutcome = async (changes) => {
+        try {
+            return await replaceItem(CONTAINER_JOBS, job.id, job.id, {
+                ...running,
+                ...changes,
+                updatedAt: new Date().toISOString()
+            }, { ifMatch: running._etag });
+        } catch (error) {
+            if (!isPreconditionFailed(error)) throw error;
+            context.warn(`[Jobs] Job ${job.id} changed while its batch ran, dropping the outcome`);
+            return null;
+        }
+    };
+
+    let batch;
+    try {
+        batch = await handler.runBatch(running, context);
+    } catch (error) {
+        const attempts = (running.attempts || 0) + 1;
+        const failed = attempts >= JOB_MAX_ATTEMPTS;
+        context.error(`[Jobs] ${job.type} job ${job.id} batch failed (attempt ${attempts}):`, error.message);
+
+        const saved = await saveOutcome({
+            status: failed ? JOB_STATUS.FAILED : JOB_STATUS.QUEUED,
+            attempts: attempts,
+            lastError: error.message,
+            completedAt: failed ? new Date().toISOString() : null
+        });
+        if (!saved) return null;
+
+        if (failed && typeof handler.onFailure === 'function') {
+            try {
+                await handler.onFailure(running, error, context);
+            } catch (hookError) {
+                context.warn(`[Jobs] onFailure hook for ${job.id} failed:`, hookError.message);
+            }
+        }
+        if (failed) return null;
+        throw error;
+    }
+
+    const errors = [...(running.errors || []), ...(batch.errors || [])].slice(-JOB_MAX_ERRORS);
+    const saved = await saveOutcome({
+        status: batch.done ? JOB_STATUS.COMPLETED : JOB_STATUS.QUEUED,
+        cursor: batch.cursor ?? running.cursor,
+        progress: batch.progress || running.progress,
+        errors: errors,
+        result: batch.result ?? running.result,
+        attempts: 0,
+        lastError: null,
+        queueToken: batch.done ? running.queueToken : newQueueToken(),
+        completedAt: batch.done ? new Date().toISOString() : null
+    });
+    if (!saved) return null;
+
+    context.log(`[Jobs] ${job.type} job ${job.id}: ${batch.progress?.processed ?? '?'}/${batch.progress?.total ?? '?'}${batch.done ? ' (completed)' : ''}`);
+    return batch.done ? null : { jobId: job.id, token: saved.queueToken };
+}
+
+/**
+ * Jobs whose worker died mid-batch (running, with a document that has not moved for
+ * `staleMinutes`), and jobs still queued after `queuedStaleMinutes`, whose message
+ * was presumably lost. The queued cutoff is long so that a message still waiting in
+ * a backed-up queue is not duplicated.
+ */
+async function findStaleJobs(staleMinutes, queuedStaleMinutes) {
+    const cutoff = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    return await queryItems(CONTAINER_JOBS, {
+        query: 'SELECT * FROM c WHERE (c.status = @running AND c.updatedAt < @runningCutoff) OR (c.status = @queued AND c.updatedAt < @queuedCutoff)',
+        parameters: [
+            { name: '@queued', value: JOB_STATUS.QUEUED },
+            { name: '@running', value: JOB_STATUS.RUNNING },
+            { name: '@runningCutoff', value: cutoff(staleMinutes) },
+            { name: '@queuedCutoff', value: cutoff(queuedStaleMinutes) }
+        ]
+    });
+}
+
+/**
+ * Put a stale job back in the queue under a new token, so any older message for it
+ * is dropped. Returns the message to send, or null when the job moved on meanwhile.
+ */
+async function requeueJob(job) {
+    try {
+        const queued = await replaceItem(CONTAINER_JOBS, job.id, job.id, {
+            ...job,
+            status: JOB_STATUS.QUEUED,
+            queueToken: newQueueToken(),
+            updatedAt: new Date().toISOString()
+        }, { ifMatch: job._etag });
+        return { jobId: queued.id, token: queued.queueToken };
+    } catch (error) {
+        if (!isPreconditionFailed(error)) throw error;
+        return null;
+    }
+}
+
+module.exports = {
+    CONTAINER_JOBS,
+    JOB_QUEUE_NAME,
+    JOB_STATUS,
+    jobQueueOutput,
+    registerJobHandler,
+    getJobHandler,
+    enqueueJob,
+    getJob,
+    findActiveJob,
+    runJobBatch,
+    findStaleJobs,
+    requeueJob
+};
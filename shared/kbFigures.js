@@ -0,0 +1,246 @@
+/**
+ * Knowledge Base Figure Utility
+ * Layout heuristics locating figures and tables on a page from its structured
+ * text (see pdfText.extractTextLayer), plus cleanup of stored figure records.
+ * All coordinates are PDF points with the origin top-left.
+ */
+
+const { queryItems, deleteItem } = require('./cosmosClient');
+const { deleteBlob } = require('./blobClient');
+
+const CONTAINER_FIGURES = process.env.COSMOSDB_CONTAINER_FIGURES || 'figures';
+const BLOB_CONTAINER_PAGES = process.env.BLOB_CONTAINER_PAGES || 'pages';
+
+// "Figure 3.", "Fig. 2b:", "Table 4 —", "Tab. IV" at the start of a block, then the first word after it
+const CAPTION_PATTERN = /^(fig(?:ure)?|tab(?:le)?)\.?\s*(\d+[a-z]?|[ivxlc]+)\b\s*([.:|\u2014\u2013-])?\s*([a-z]*)/i;
+// Words that make a label with no separator a mention in body text ("Figure 2 shows ...")
+const CAPTION_STOP_WORDS = new Set([
+    'shows', 'show', 'illustrates', 'presents', 'summarizes', 'summarises', 'reports', 'lists',
+    'depicts', 'displays', 'gives', 'provides', 'compares', 'contains', 'plots', 'describes',
+    'demonstrates', 'indicates', 'reveals', 'highlights', 'suggests', 'confirms', 'outlines',
+    'details', 'includes', 'is', 'was', 'are', 'were', 'has', 'and', 'or', 'in', 'of'
+]);
+const MAX_BARE_CAPTION_LENGTH = 120; // A one-line block this short can be a caption with no separator
+const MIN_IMAGE_SIZE = 40;      // Smaller images are icons, logos or rules
+const MIN_REGION_HEIGHT = 48;   // Caption-only fallback regions must be at least this tall
+const MIN_TABLE_ROWS = 3;
+const MIN_TABLE_COLUMNS = 3;
+const MAX_CAPTION_DISTANCE = 72;
+
+const width = (r) => r[2] - r[0];
+const height = (r) => r[3] - r[1];
+const union = (a, b) => [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+const overlapsHorizontally = (a, b) => Math.min(a[2], b[2]) - Math.max(a[0], b[0]) > 0;
+const isNear = (a, b, gap) => a[0] - gap <= b[2] && b[0] - gap <= a[2] && a[1] - gap <= b[3] && b[1] - gap <= a[3];
+
+// Merge rectangles that touch or nearly touch (figures split into image tiles)
+const mergeRects = (rects, gap = 6) => {
+    const merged = rects.map(r => [...r]);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let i = 0; i < merged.length && !changed; i++) {
+            for (let j = i + 1; j < merged.length; j++) {
+                if (isNear(merged[i], merged[j], gap)) {
+                    merged[i] = union(merged[i], merged[j]);
+                    merged.splice(j, 1);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+    }
+    return merged;
+};
+
+// Median font size of the body text on a page, or null when it has none
+const bodyFontSize = (blocks) => {
+    const sizes = blocks.filter(isBodyBlock).flatMap(block => block.lines.map(line => line.fontSize))
+        .filter(size => size > 0)
+        .sort((a, b) => a - b);
+    return sizes.length ? sizes[Math.floor(sizes.length / 2)] : null;
+};
+
+// A label with no separator ("Fig. 1 The pipeline") counts when its block is a short line or set
+// apart from the body text (bold or smaller), unless the next word makes it a sentence
+const isBareCaption = (block, text, nextWord, bodySize) => {
+    if (CAPTION_STOP_WORDS.has(nextWord.toLowerCase())) return false;
+    if (block.lines.length === 1 && text.length <= MAX_BARE_CAPTION_LENGTH) return true;
+    const [firstLine] = block.lines;
+    return Boolean(firstLine.bold) || (bodySize !== null && firstLine.fontSize > 0 && firstLine.fontSize < bodySize - 0.5);
+};
+
+/**
+ * Caption blocks on a page: [{ kind, label, text, bbox }]
+ */
+function findCaptions(blocks = []) {
+    const bodySize = bodyFontSize(blocks);
+    return blocks
+        .map(block => {
+            const text = block.lines.map(line => line.text).join(' ').replace(/\s+/g, ' ').trim();
+            const match = text.match(CAPTION_PATTERN);
+            if (!match) return null;
+            if (!match[3] && !isBareCaption(block, text, match[4], bodySize)) return null;
+            const kind = match[1].toLowerCase().startsWith('tab') ? 'table' : 'figure';
+            return {
+                kind,
+                label: `${kind === 'table' ? 'Table' : 'Figure'} ${match[2]}`,
+                text: text.slice(0, 1000),
+                bbox: block.bbox
+            };
+        })
+        .filter(Boolean);
+}
+
+// Body text: multi-line blocks of long lines (not labels inside a chart or table)
+const isBodyBlock = (block) => block.lines.length >= 2 &&
+    block.lines.reduce((sum, line) => sum + line.text.length, 0) / block.lines.length >= 40;
+
+// Runs of text rows split into several columns
+const findTableRegions = (blocks) => {
+    const lines = blocks.flatMap(block => block.lines)
+        .sort((a, b) => (a.bbox[1] + a.bbox[3]) - (b.bbox[1] + b.bbox[3]));
+
+    const rows = [];
+    lines.forEach(line => {
+        const center = (line.bbox[1] + line.bbox[3]) / 2;
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(row.center - center) <= Math.max(height(line.bbox), 4) / 2) {
+            row.cells.push(line);
+            row.bbox = union(row.bbox, line.bbox);
+        } else {
+            rows.push({ center, cells: [line], bbox: line.bbox });
+        }
+    });
+
+    const regions = [];
+    let run = [];
+    const flush = () => {
+        if (run.length >= MIN_TABLE_ROWS) {
+            regions.push(run.map(row => row.bbox).reduce(union));
+        }
+        run = [];
+    };
+
+    rows.forEach(row => {
+        if (row.cells.length < MIN_TABLE_COLUMNS) {
+            flush();
+            return;
+        }
+        const previous = run[run.length - 1];
+        if (previous && row.bbox[1] - previous.bbox[3] > 2.5 * height(row.bbox)) flush();
+        run.push(row);
+    });
+    flush();
+
+    return regions;
+};
+
+// Region between a caption and the nearest body text above (figures) or below (tables)
+const regionFromCaption = (caption, blocks, pageBounds) => {
+    const column = blocks.filter(block => isBodyBlock(block) && overlapsHorizontally(block.bbox, caption.bbox));
+    const [x0, , x1] = caption.bbox;
+
+    if (caption.kind === 'figure') {
+        const above = column.filter(block => block.bbox[3] <= caption.bbox[1]).map(block => block.bbox[3]);
+        const top = above.length ? Math.max(...above) : pageBounds[1];
+        return [x0, top, x1, caption.bbox[1]];
+    }
+
+    const below = column.filter(block => block.bbox[1] >= caption.bbox[3]).map(block => block.bbox[1]);
+    const bottom = below.length ? Math.min(...below) : pageBounds[3];
+    return [x0, caption.bbox[3], x1, bottom];
+};
+
+// Distance from a region to a caption in the direction captions usually sit
+const captionDistance = (region, caption) => {
+    if (!overlapsHorizontally(region, caption.bbox)) return Infinity;
+    const below = caption.bbox[1] - region[3];
+    const above = region[1] - caption.bbox[3];
+    const preferred = caption.kind === 'figure' ? below : above;
+    const other = caption.kind === 'figure' ? above : below;
+    if (preferred >= -4) return Math.max(preferred, 0);
+    if (other >= -4) return Math.max(other, 0) + MAX_CAPTION_DISTANCE / 2;
+    return Infinity;
+};
+
+/**
+ * Locate figure and table regions on a page.
+ * `layer` is the output of extractTextLayer; `pageBounds` the page rect.
+ * Returns [{ kind, bbox, detection, label, caption }] where detection is
+ * 'image' (embedded images), 'layout' (column-aligned text rows) or 'caption'
+ * (area next to a caption with no other evidence, e.g. vector graphics).
+ */
+function detectFigureRegions(layer, pageBounds) {
+    const blocks = layer.blocks || [];
+    const captions = findCaptions(blocks);
+    const captionBlocks = new Set(captions.map(caption => caption.bbox));
+    const contentBlocks = blocks.filter(block => !captionBlocks.has(block.bbox));
+
+    const imageRects = (layer.images || [])
+        .map(image => image.bbox)
+        .filter(bbox => width(bbox) >= MIN_IMAGE_SIZE && height(bbox) >= MIN_IMAGE_SIZE);
+
+    const regions = [
+        ...mergeRects(imageRects).map(bbox => ({ kind: 'figure', bbox, detection: 'image' })),
+        ...findTableRegions(contentBlocks).map(bbox => ({ kind: 'table', bbox, detection: 'layout' }))
+    ];
+
+    // Give each caption to the closest region of the same kind
+    const unused = new Set(captions);
+    regions.forEach(region => {
+        let best = null;
+        let bestDistance = MAX_CAPTION_DISTANCE;
+        unused.forEach(caption => {
+            if (caption.kind !== region.kind) return;
+            const distance = captionDistance(region.bbox, caption);
+            if (distance <= bestDistance) {
+                best = caption;
+                bestDistance = distance;
+            }
+        });
+        region.label = best?.label || null;
+        region.caption = best?.text || null;
+        if (best) unused.delete(best);
+    });
+
+    unused.forEach(caption => {
+        const bbox = regionFromCaption(caption, contentBlocks, pageBounds);
+        if (height(bbox) < MIN_REGION_HEIGHT) return;
+        regions.push({ kind: caption.kind, bbox, detection: 'caption', label: caption.label, caption: caption.text });
+    });
+
+    return regions.sort((a, b) => a.bbox[1] - b.bbox[1] || a.bbox[0] - b.bbox[0]);
+}
+
+/**
+ * Delete figure records (and their cropped images) matching a field value
+ */
+async function deleteFiguresBy(field, value) {
+    const figures = await queryItems(CONTAINER_FIGURES, {
+        query: `SELECT c.id, c.blobName FROM c WHERE c.${field} = @value`,
+        parameters: [{ name: '@value', value: value }]
+    });
+    for (const figure of figures) {
+        if (figure.blobName) {
+            try {
+                await deleteBlob(BLOB_CONTAINER_PAGES, figure.blobName);
+            } catch (error) {
+                if (error.statusCode !== 404) throw error;
+            }
+        }
+        await deleteItem(CONTAINER_FIGURES, figure.id, figure.id);
+    }
+    return figures.length;
+}
+
+const deleteFiguresForPage = (pageId) => deleteFiguresBy('pageId', pageId);
+const deleteFiguresForReference = (referenceId) => deleteFiguresBy('referenceId', referenceId);
+
+module.exports = {
+    CONTAINER_FIGURES,
+    findCaptions,
+    detectFigureRegions,
+    deleteFiguresForPage,
+    deleteFiguresForReference
+};
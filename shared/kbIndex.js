@@ -0,0 +1,174 @@
+/**
+ * Knowledge Base Index Utility
+ * Chunks page text, stores embedded chunks in CosmosDB and runs vector similarity search
+ */
+
+const { queryItems, upsertItem, deleteItem } = require('./cosmosClient');
+
+const CONTAINER_CHUNKS = process.env.COSMOSDB_CONTAINER_CHUNKS || 'chunks';
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.KB_CHUNK_SIZE || '1000', 10);
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.KB_CHUNK_OVERLAP || '200', 10);
+const DEFAULT_TEXT_PAGE_SIZE = parseInt(process.env.KB_TEXT_PAGE_SIZE || '3000', 10);
+
+/**
+ * Best available text for a page record: the native PDF text layer when it is
+ * usable, otherwise the OCR result
+ */
+function getPageText(page) {
+    if (page?.hasTextLayer && page.textLayer?.text) return page.textLayer.text;
+    return page?.ocrText || '';
+}
+
+/**
+ * Split text into overlapping chunks, breaking on word boundaries where possible.
+ * Offsets refer to the whitespace-normalised text.
+ */
+function chunkText(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return [];
+
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+        let end = Math.min(start + chunkSize, clean.length);
+        if (end < clean.length) {
+            const lastSpace = clean.lastIndexOf(' ', end);
+            if (lastSpace > start + chunkSize / 2) end = lastSpace;
+        }
+
+        chunks.push({ text: clean.slice(start, end).trim(), start, end });
+        if (end >= clean.length) break;
+
+        // Step back by the overlap, then forward to the next word start
+        let next = Math.max(end - overlap, start + 1);
+        const space = clean.indexOf(' ', next);
+        if (space !== -1 && space < end) next = space + 1;
+        start = next;
+    }
+
+    return chunks;
+}
+
+/**
+ * Split a document without pages (HTML, EPUB chapters, plain text...) into
+ * page-sized pieces of about `pageSize` characters, breaking between paragraphs
+ * where possible so highlights and search results point at a readable span
+ */
+function paginateText(text, { pageSize = DEFAULT_TEXT_PAGE_SIZE } = {}) {
+    const paragraphs = (text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const pages = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+        // Paragraphs longer than a page are cut on word boundaries
+        const pieces = paragraph.length > pageSize
+            ? chunkText(paragraph, { chunkSize: pageSize, overlap: 0 }).map(chunk => chunk.text)
+            : [paragraph];
+        for (const piece of pieces) {
+            if (current && current.length + piece.length + 2 > pageSize) {
+                pages.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+    }
+    if (current) pages.push(current);
+
+    return pages;
+}
+
+/**
+ * Remove all chunk records for a page
+ */
+async function deleteChunksForPage(pageId) {
+    const existing = await queryItems(CONTAINER_CHUNKS, {
+        query: 'SELECT c.id FROM c WHERE c.pageId = @pageId',
+        parameters: [{ name: '@pageId', value: pageId }]
+    });
+    for (const chunk of existing) {
+        await deleteItem(CONTAINER_CHUNKS, chunk.id, chunk.id);
+    }
+    return existing.length;
+}
+
+/**
+ * Remove all chunk records for a reference
+ */
+async function deleteChunksForReference(referenceId) {
+    const existing = await queryItems(CONTAINER_CHUNKS, {
+        query: 'SELECT c.id FROM c WHERE c.referenceId = @referenceId',
+        parameters: [{ name: '@referenceId', value: referenceId }]
+    });
+    for (const chunk of existing) {
+        await deleteItem(CONTAINER_CHUNKS, chunk.id, chunk.id);
+    }
+    return existing.length;
+}
+
+/**
+ * Chunk, embed and store the text of one page record. Replaces earlier chunks.
+ * Returns the number of chunks written.
+ */
+async function indexPage(page, provider) {
+    await deleteChunksForPage(page.id);
+
+    const chunks = chunkText(getPageText(page));
+    if (chunks.length === 0) return 0;
+
+    const embeddings = await provider.embed(chunks.map(chunk => chunk.text));
+
+    for (let i = 0; i < chunks.length; i++) {
+        await upsertItem(CONTAINER_CHUNKS, {
+            id: `${page.id}_chunk_${String(i).padStart(3, '0')}`,
+            type: 'chunk',
+            referenceId: page.referenceId,
+            pageId: page.id,
+            pageNumber: page.pageNumber,
+            chunkIndex: i,
+            text: chunks[i].text,
+            charStart: chunks[i].start,
+            charEnd: chunks[i].end,
+            metadata: page.metadata || {},
+            embedding: embeddings[i],
+            embeddingProvider: provider.name,
+            dateCreated: new Date().toISOString()
+        });
+    }
+
+    return chunks.length;
+}
+
+/**
+ * Embed the query and return the topK most similar chunks (without vectors).
+ * Ranking runs in CosmosDB with VectorDistance, which needs the vector policy and
+ * index on /embedding described in the README; only the topK chunks are read.
+ */
+async function searchChunks(query, provider, { topK = 10, referenceId = null } = {}) {
+    const [queryVector] = await provider.embed([query]);
+
+    const parameters = [
+        { name: '@topK', value: topK },
+        { name: '@vector', value: queryVector },
+        { name: '@provider', value: provider.name }
+    ];
+    let sql = 'SELECT TOP @topK c.id, c.referenceId, c.pageId, c.pageNumber, c.chunkIndex, c.text, c.metadata, VectorDistance(c.embedding, @vector) AS score FROM c WHERE c.embeddingProvider = @provider';
+    if (referenceId) {
+        sql += ' AND c.referenceId = @referenceId';
+        parameters.push({ name: '@referenceId', value: referenceId });
+    }
+    sql += ' ORDER BY VectorDistance(c.embedding, @vector)';
+
+    return await queryItems(CONTAINER_CHUNKS, { query: sql, parameters });
+}
+
+module.exports = {
+    CONTAINER_CHUNKS,
+    getPageText,
+    chunkText,
+    paginateText,
+    indexPage,
+    deleteChunksForPage,
+    deleteChunksForReference,
+    searchChunks
+};
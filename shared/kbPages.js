@@ -0,0 +1,73 @@
+/**
+ * Knowledge Base Page Utility
+ * Shared cleanup of the page images, page records, figures and chunks derived from a reference's document
+ */
+
+const { listBlobs, deleteBlob } = require('./blobClient');
+const { queryItems, deleteItem } = require('./cosmosClient');
+const { deleteChunksForReference } = require('./kbIndex');
+const { deleteFiguresForReference } = require('./kbFigures');
+
+const CONTAINER_PAGES = process.env.COSMOSDB_CONTAINER_PAGES || 'pages';
+const BLOB_CONTAINER_PAGES = process.env.BLOB_CONTAINER_PAGES || 'pages';
+
+// Reference fields written by the KB pipeline stages
+const KB_REFERENCE_FIELDS = [
+    'kb_split_completed',
+    'kb_total_pages',
+    'kb_ocr_required_pages',
+    'kb_source_hash',
+    'kb_source_type',
+    'kb_split_error',
+    'kb_failed_pages',
+    'kb_ocr_completed',
+    'kb_index_completed',
+    'kb_figures_completed',
+    'kb_figure_count'
+];
+
+/**
+ * Delete every page blob, page record, figure and chunk for a reference.
+ * Returns counts of what was removed.
+ */
+async function deleteReferencePages(referenceId) {
+    const figures = await deleteFiguresForReference(referenceId);
+
+    const blobs = await listBlobs(BLOB_CONTAINER_PAGES, `${referenceId}/`);
+    for (const blob of blobs) {
+        await deleteBlob(BLOB_CONTAINER_PAGES, blob.name);
+    }
+
+    const pages = await queryItems(CONTAINER_PAGES, {
+        query: 'SELECT c.id FROM c WHERE c.referenceId = @referenceId',
+        parameters: [{ name: '@referenceId', value: referenceId }]
+    });
+    for (const page of pages) {
+        await deleteItem(CONTAINER_PAGES, page.id, page.id);
+    }
+
+    const chunks = await deleteChunksForReference(referenceId);
+
+    return {
+        blobs: blobs.length,
+        pages: pages.length,
+        figures: figures,
+        chunks: chunks
+    };
+}
+
+/**
+ * Copy of a reference with its KB pipeline state cleared
+ */
+function resetKnowledgeStatus(reference) {
+    const reset = { ...reference, ref_knowledge_status: 0 };
+    KB_REFERENCE_FIELDS.forEach(field => {
+        delete reset[field];
+    });
+    return reset;
+}
+
+module.exports = {
+    deleteReferencePages,
+    resetKnowledgeStatus
+};
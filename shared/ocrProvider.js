@@ -0,0 +1,132 @@
+/**
+ * OCR Provider Utility
+ * Pluggable text recognition for rendered KB page images.
+ *
+ * A provider is an object with a `name` and an async `recognize(imageBuffer, options)`
+ * method resolving to `{ text, words, width, height }`, where each word is
+ * `{ text, bbox: [x0, y0, x1, y1], confidence }` in pixels of the source image.
+ */
+
+// Page record ocrStatus values (0 is what KBSplitPDF writes for a fresh page)
+const OCR_STATUS = {
+    PENDING: 0,
+    PROCESSING: 1,
+    DONE: 2,
+    FAILED: 3,
+    NOT_REQUIRED: 4 // Native text layer is usable
+};
+
+const providers = {};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Azure AI Vision returns 8-number polygons; collapse them to axis-aligned boxes
+const polygonToBbox = (polygon = []) => {
+    const xs = polygon.filter((_, i) => i % 2 === 0);
+    const ys = polygon.filter((_, i) => i % 2 === 1);
+    if (xs.length === 0 || ys.length === 0) return null;
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+/**
+ * Azure AI Vision Read API (v3.2)
+ * Requires AZURE_VISION_ENDPOINT and AZURE_VISION_KEY
+ */
+const azureVisionProvider = {
+    name: 'azure-vision',
+    isConfigured() {
+        return Boolean(process.env.AZURE_VISION_ENDPOINT && process.env.AZURE_VISION_KEY);
+    },
+    async recognize(imageBuffer) {
+        const endpoint = process.env.AZURE_VISION_ENDPOINT.replace(/\/+$/, '');
+        const key = process.env.AZURE_VISION_KEY;
+
+        const submitResponse = await fetch(`${endpoint}/vision/v3.2/read/analyze`, {
+            method: 'POST',
+            headers: {
+                'Ocp-Apim-Subscription-Key': key,
+                'Content-Type': 'application/octet-stream'
+            },
+            body: imageBuffer
+        });
+
+        if (submitResponse.status !== 202) {
+            const errorText = await submitResponse.text();
+            throw new Error(`Azure Vision read request failed (${submitResponse.status}): ${errorText}`);
+        }
+
+        const operationUrl = submitResponse.headers.get('operation-location');
+        if (!operationUrl) {
+            throw new Error('Azure Vision did not return an operation location');
+        }
+
+        // Poll until the read operation finishes (roughly 30 seconds max)
+        for (let attempt = 0; attempt < 30; attempt++) {
+            await sleep(1000);
+            const pollResponse = await fetch(operationUrl, {
+                headers: { 'Ocp-Apim-Subscription-Key': key }
+            });
+            if (!pollResponse.ok) {
+                const errorText = await pollResponse.text();
+                throw new Error(`Azure Vision poll failed (${pollResponse.status}): ${errorText}`);
+            }
+
+            const result = await pollResponse.json();
+            if (result.status === 'failed') {
+                throw new Error('Azure Vision read operation failed');
+            }
+            if (result.status !== 'succeeded') continue;
+
+            const readResult = result.analyzeResult?.readResults?.[0] || {};
+            const lines = readResult.lines || [];
+            const words = [];
+            lines.forEach(line => {
+                (line.words || []).forEach(word => {
+                    words.push({
+                        text: word.text,
+                        bbox: polygonToBbox(word.boundingBox),
+                        confidence: word.confidence ?? null
+                    });
+                });
+            });
+
+            return {
+                text: lines.map(line => line.text).join('\n'),
+                words,
+                width: readResult.width || null,
+                height: readResult.height || null
+            };
+        }
+
+        throw new Error('Azure Vision read operation timed out');
+    }
+};
+
+/**
+ * Register an OCR provider under a name (overrides any existing provider)
+ */
+function registerOcrProvider(name, provider) {
+    if (!provider || typeof provider.recognize !== 'function') {
+        throw new Error('OCR provider must implement recognize(imageBuffer, options)');
+    }
+    providers[name] = provider;
+}
+
+/**
+ * Get the OCR provider selected by OCR_PROVIDER (defaults to azure-vision)
+ * Returns null when the provider is unknown or not configured
+ */
+function getOcrProvider(name = process.env.OCR_PROVIDER || 'azure-vision') {
+    const provider = providers[name];
+    if (!provider) return null;
+    if (typeof provider.isConfigured === 'function' && !provider.isConfigured()) return null;
+    return provider;
+}
+
+registerOcrProvider(azureVisionProvider.name, azureVisionProvider);
+
+module.exports = {
+    OCR_STATUS,
+    registerOcrProvider,
+    getOcrProvider
+};
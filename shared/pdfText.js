@@ -0,0 +1,131 @@
+/**
+ * PDF Text Layer Utility
+ * Reads the embedded text layer of PDF pages with MuPDF, keeping layout blocks,
+ * lines, font sizes and bounding boxes (PDF points, origin top-left).
+ */
+
+const mupdf = require('mupdf');
+
+const MIN_TEXT_LAYER_CHARS = 25;
+
+const roundRect = (rect) => rect.map(value => Math.round(value * 10) / 10);
+
+/**
+ * Classify extracted text as 'good', 'empty' (scanned page) or 'garbage'
+ * (broken font encodings, missing spaces, replacement characters)
+ */
+function assessTextLayer(text = '') {
+    const compact = text.replace(/\s+/g, '');
+    if (compact.length < MIN_TEXT_LAYER_CHARS) return 'empty';
+
+    const readable = (compact.match(/[\p{L}\p{N}.,;:!?'"()\-–—%]/gu) || []).length;
+    if (readable / compact.length < 0.75) return 'garbage';
+
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const wordLike = tokens.filter(token => /\p{L}{2,}/u.test(token)).length;
+    if (wordLike / tokens.length < 0.4) return 'garbage';
+    if (compact.length / tokens.length > 25) return 'garbage';
+
+    return 'good';
+}
+
+/**
+ * Structured text of one MuPDF page: { text, blocks, images, quality }
+ * Each block is { bbox, text, lines: [{ bbox, text, fontSize, font, bold }] };
+ * images lists the bounding boxes of embedded image blocks.
+ */
+function extractTextLayer(page) {
+    const stext = page.toStructuredText('preserve-whitespace,preserve-images');
+    const blocks = [];
+    const images = [];
+    let block = null;
+    let line = null;
+
+    stext.walk({
+        onImageBlock(bbox) {
+            images.push({ bbox: roundRect(bbox) });
+        },
+        beginTextBlock(bbox) {
+            block = { bbox: roundRect(bbox), lines: [] };
+        },
+        beginLine(bbox) {
+            line = { bbox: roundRect(bbox), text: '', sizeTotal: 0, chars: 0, font: null, bold: false };
+        },
+        onChar(ch, origin, font, size) {
+            line.text += ch;
+            line.sizeTotal += size;
+            line.chars += 1;
+            if (!line.font) {
+                line.font = font.getName();
+                line.bold = font.isBold();
+            }
+        },
+        endLine() {
+            const text = line.text.trim();
+            if (text) {
+                block.lines.push({
+                    bbox: line.bbox,
+                    text: text,
+                    fontSize: Math.round((line.sizeTotal / line.chars) * 10) / 10,
+                    font: line.font,
+                    bold: line.bold
+                });
+            }
+        },
+        endTextBlock() {
+            if (block.lines.length > 0) {
+                blocks.push({ ...block, text: block.lines.map(l => l.text).join('\n') });
+            }
+        }
+    });
+
+    const text = blocks.map(b => b.text).join('\n\n');
+    return {
+        text,
+        blocks,
+        images,
+        quality: assessTextLayer(text)
+    };
+}
+
+/**
+ * Per-page text of a PDF buffer: [{ pageNumber, text, quality }]
+ */
+function extractPdfPages(buffer) {
+    const doc = mupdf.Document.openDocument(buffer, 'application/pdf');
+    const totalPages = doc.countPages();
+    const pages = [];
+
+    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+        const { text, quality } = extractTextLayer(doc.loadPage(pageNum - 1));
+        pages.push({ pageNumber: pageNum, text, quality });
+    }
+
+    return pages;
+}
+
+/**
+ * Document info dictionary, page count and first-page text layer of a PDF buffer
+ */
+function readPdfInfo(buffer) {
+    const doc = mupdf.Document.openDocument(buffer, 'application/pdf');
+    const info = {};
+    ['Title', 'Author', 'Subject', 'Keywords', 'CreationDate'].forEach(key => {
+        const value = doc.getMetaData(`info:${key}`);
+        info[key.charAt(0).toLowerCase() + key.slice(1)] = value ? value.trim() : '';
+    });
+
+    const pageCount = doc.countPages();
+    return {
+        info,
+        pageCount,
+        firstPage: pageCount > 0 ? extractTextLayer(doc.loadPage(0)) : { text: '', blocks: [], images: [], quality: 'empty' }
+    };
+}
+
+module.exports = {
+    assessTextLayer,
+    extractTextLayer,
+    extractPdfPages,
+    readPdfInfo
+};
@@ -0,0 +1,250 @@
+/**
+ * Reference Duplicates Utility
+ * Clusters likely duplicate references (DOI equality, title token similarity,
+ * first author / year agreement) and merges a cluster into one record.
+ */
+
+const { tokenizeText } = require('./textTokens');
+const { canonicalDoi } = require('./referenceSchema');
+
+const DEFAULT_THRESHOLD = 0.75;
+// Below this title similarity author/year agreement cannot make a match
+const MIN_TITLE_SIMILARITY = 0.5;
+// Titles with fewer keyword tokens are compared exactly
+const MIN_TITLE_TOKENS = 3;
+const SIGNAL_WEIGHTS = { title: 0.7, author: 0.15, year: 0.15 };
+
+// Scalar fields a merge may take from any record in the cluster
+const MERGE_FIELDS = ['title', 'authors', 'year', 'source', 'type', 'doi', 'url', 'summary', 'discipline', 'notes'];
+// Fields unioned across the cluster, kept as an array or comma string like the primary
+const LIST_FIELDS = ['keywords', 'tags', 'projects', 'collections'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+const normalizeTitle = (value) => (value || '').toString().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Family name of the first author: "Family, Given; ..." strings, name arrays or { family } objects
+const firstAuthorFamily = (authors) => {
+    const first = Array.isArray(authors) ? authors[0] : (authors || '').toString().split(';')[0];
+    if (!first) return '';
+    if (typeof first === 'object') return normalizeTitle(first.family || first.literal);
+    const name = first.trim();
+    const family = name.includes(',') ? name.split(',')[0] : name.split(/\s+/).pop();
+    return normalizeTitle(family);
+};
+
+const parseYear = (year) => {
+    const match = (year || '').toString().match(/\d{4}/);
+    return match ? match[0] : '';
+};
+
+const fileKey = (file) => file?.blobName || file?.url || file?.name;
+
+const prepare = (reference) => ({
+    reference,
+    doi: canonicalDoi(reference.doi),
+    title: normalizeTitle(reference.title),
+    tokens: new Set(tokenizeText(reference.title || '')),
+    author: firstAuthorFamily(reference.authors),
+    year: parseYear(reference.year)
+});
+
+const titleSimilarity = (a, b) => {
+    if (!a.title || !b.title) return 0;
+    if (a.title === b.title) return 1;
+    if (a.tokens.size < MIN_TITLE_TOKENS || b.tokens.size < MIN_TITLE_TOKENS) return 0;
+    let shared = 0;
+    a.tokens.forEach(token => {
+        if (b.tokens.has(token)) shared += 1;
+    });
+    return shared / (a.tokens.size + b.tokens.size - shared);
+};
+
+// { score, reasons } for a candidate pair, or null when they are different works
+const scorePair = (a, b) => {
+    if (a.doi && b.doi) {
+        return a.doi === b.doi ? { score: 1, reasons: ['doi'] } : null;
+    }
+
+    const title = titleSimilarity(a, b);
+    if (title < MIN_TITLE_SIMILARITY) return null;
+
+    // Signals missing on either side do not count for or against the pair
+    let weighted = SIGNAL_WEIGHTS.title * title;
+    let total = SIGNAL_WEIGHTS.title;
+    const reasons = [title === 1 ? 'title' : 'similar-title'];
+    if (a.author && b.author) {
+        total += SIGNAL_WEIGHTS.author;
+        if (a.author === b.author) {
+            weighted += SIGNAL_WEIGHTS.author;
+            reasons.push('author');
+        }
+    }
+    if (a.year && b.year) {
+        total += SIGNAL_WEIGHTS.year;
+        if (a.year === b.year) {
+            weighted += SIGNAL_WEIGHTS.year;
+            reasons.push('year');
+        }
+    }
+    return { score: Math.round((weighted / total) * 1000) / 1000, reasons };
+};
+
+// How much a record would lose if it were merged away
+const completeness = (reference) =>
+    MERGE_FIELDS.filter(field => !isEmpty(reference[field])).length +
+    (reference.files || []).length * 2 +
+    (reference.ref_knowledge_status || 0) * 3;
+
+/**
+ * The record to keep: most complete, then oldest
+ */
+function suggestPrimary(references) {
+    return [...references].sort((a, b) =>
+        completeness(b) - completeness(a) ||
+        String(a.dateAdded || '').localeCompare(String(b.dateAdded || ''))
+    )[0];
+}
+
+/**
+ * Clusters of likely duplicates:
+ * [{ score, suggestedPrimaryId, references, pairs: [{ a, b, score, reasons }] }]
+ */
+function findDuplicateClusters(references, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const items = references.map(prepare);
+
+    // Only pairs sharing a DOI, an exact title or a title token are compared
+    const buckets = new Map();
+    const addToBucket = (key, index) => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+    };
+    items.forEach((item, index) => {
+        if (item.doi) addToBucket(`doi:${item.doi}`, index);
+        if (item.title) addToBucket(`title:${item.title}`, index);
+        item.tokens.forEach(token => addToBucket(`token:${token}`, index));
+    });
+
+    const parent = items.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    const pairs = [];
+    const compared = new Set();
+    buckets.forEach(indexes => {
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                const key = `${indexes[i]}:${indexes[j]}`;
+                if (compared.has(key)) continue;
+                compared.add(key);
+
+                const match = scorePair(items[indexes[i]], items[indexes[j]]);
+                if (!match || match.score < threshold) continue;
+                pairs.push({ left: indexes[i], right: indexes[j], ...match });
+                parent[find(indexes[i])] = find(indexes[j]);
+            }
+        }
+    });
+
+    const clusters = new Map();
+    pairs.forEach(pair => {
+        const root = find(pair.left);
+        if (!clusters.has(root)) clusters.set(root, { members: new Set(), pairs: [] });
+        const cluster = clusters.get(root);
+        cluster.members.add(pair.left).add(pair.right);
+        cluster.pairs.push({
+            a: items[pair.left].reference.id,
+            b: items[pair.right].reference.id,
+            score: pair.score,
+            reasons: pair.reasons
+        });
+    });
+
+    return Array.from(clusters.values())
+        .map(cluster => {
+            const members = Array.from(cluster.members).map(index => items[index].reference);
+            return {
+                score: Math.max(...cluster.pairs.map(pair => pair.score)),
+                suggestedPrimaryId: suggestPrimary(members).id,
+                references: members.map(ref => ({
+                    id: ref.id,
+                    title: ref.title,
+                    authors: ref.authors,
+                    year: ref.year,
+                    doi: ref.doi,
+                    source: ref.source,
+                    fileCount: (ref.files || []).length,
+                    ref_knowledge_status: ref.ref_knowledge_status || 0,
+                    dateAdded: ref.dateAdded
+                })),
+                pairs: cluster.pairs
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.references.length - a.references.length);
+}
+
+// Union of list values, keeping the primary's array or comma-string shape
+const mergeList = (values) => {
+    const seen = new Map();
+    values.forEach(value => {
+        const list = Array.isArray(value) ? value : (value ? value.toString().split(',') : []);
+        list.map(item => item.toString().trim()).filter(Boolean).forEach(item => {
+            if (!seen.has(item.toLowerCase())) seen.set(item.toLowerCase(), item);
+        });
+    });
+    const merged = Array.from(seen.values());
+    return Array.isArray(values[0]) || !values.some(value => typeof value === 'string') ? merged : merged.join(', ');
+};
+
+/**
+ * The primary record with the duplicates folded in. Empty fields are filled from
+ * the duplicates in order; `fieldSources` ({ field: referenceId }) picks a field
+ * explicitly. Keywords, tags, projects, collections and files are unioned.
+ */
+function mergeReferenceRecords(primary, duplicates, fieldSources = {}) {
+    const byId = new Map([primary, ...duplicates].map(ref => [ref.id, ref]));
+    const merged = { ...primary };
+
+    MERGE_FIELDS.forEach(field => {
+        const sourceId = fieldSources[field];
+        if (sourceId) {
+            if (!byId.has(sourceId)) {
+                throw Object.assign(new Error(`fieldSources.${field} must be one of the merged reference ids`), { status: 400 });
+            }
+            merged[field] = byId.get(sourceId)[field];
+            return;
+        }
+        if (isEmpty(merged[field])) {
+            const donor = duplicates.find(ref => !isEmpty(ref[field]));
+            if (donor) merged[field] = donor[field];
+        }
+    });
+
+    LIST_FIELDS.forEach(field => {
+        const values = [primary, ...duplicates].map(ref => ref[field]).filter(value => !isEmpty(value));
+        if (values.length > 0) merged[field] = mergeList(values);
+    });
+
+    const files = [];
+    const fileKeys = new Set();
+    [primary, ...duplicates].forEach(ref => (ref.files || []).forEach(file => {
+        const key = fileKey(file);
+        if (key && fileKeys.has(key)) return;
+        if (key) fileKeys.add(key);
+        files.push(file);
+    }));
+    merged.files = files;
+
+    merged.mergedFrom = Array.from(new Set([
+        ...(primary.mergedFrom || []),
+        ...duplicates.flatMap(ref => [ref.id, ...(ref.mergedFrom || [])])
+    ]));
+    return merged;
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    findDuplicateClusters,
+    suggestPrimary,
+    mergeReferenceRecords
+};
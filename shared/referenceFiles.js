@@ -0,0 +1,73 @@
+/**
+ * Reference File Utility
+ * Maps entries in a reference's `files` array to blobs in the uploads container
+ */
+
+const BLOB_CONTAINER_UPLOADS = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+
+// Uploads are stored once per content: sha256/<hex digest>.<extension>
+const CONTENT_BLOB_PATTERN = /^sha256\/([0-9a-f]{64})\.[a-z0-9]+$/;
+
+function contentBlobName(sha256, extension) {
+    return `sha256/${sha256}.${extension}`;
+}
+
+/**
+ * SHA-256 of a file entry: the recorded hash, or the one in a content-addressed blob name
+ */
+function fileSha256(file) {
+    if (file?.sha256) return file.sha256;
+    const match = (file?.blobName || '').match(CONTENT_BLOB_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * First PDF in a reference's files array
+ */
+function findPdfFile(reference) {
+    return (reference?.files || []).find(f =>
+        (f.name?.toLowerCase().endsWith('.pdf')) ||
+        (f.url?.toLowerCase().endsWith('.pdf')) ||
+        (f.blobName?.toLowerCase().endsWith('.pdf'))
+    );
+}
+
+/**
+ * Extract blob name from URL or use stored blobName
+ */
+function resolveFileBlobName(file) {
+    let blobName = file?.blobName;
+    if (!blobName && file?.url) {
+        // Extract blob name from URL (format: https://account.blob.../container/blobname)
+        const urlParts = file.url.split('?')[0].split('/');
+        blobName = urlParts.slice(-1)[0]; // Get last part as blob name
+        // If it includes the container, get the path after container
+        const containerIndex = urlParts.indexOf(BLOB_CONTAINER_UPLOADS);
+        if (containerIndex !== -1) {
+            blobName = urlParts.slice(containerIndex + 1).join('/');
+        }
+        try {
+            blobName = decodeURIComponent(blobName);
+        } catch (error) {
+            // Keep the raw name if it was not URL-encoded
+        }
+    }
+    return blobName || null;
+}
+
+/**
+ * Uploads blob names referenced by a reference
+ */
+function getReferenceBlobNames(reference) {
+    return (reference?.files || [])
+        .map(resolveFileBlobName)
+        .filter(Boolean);
+}
+
+module.exports = {
+    contentBlobName,
+    fileSha256,
+    findPdfFile,
+    resolveFileBlobName,
+    getReferenceBlobNames
+};
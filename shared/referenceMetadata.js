@@ -0,0 +1,185 @@
+/**
+ * Reference Metadata Utility
+ * Builds a prefilled reference draft from an uploaded PDF: document info and
+ * first-page layout give a first guess, a detected DOI / arXiv ID is resolved
+ * through CrossRef / arXiv. Every field carries a confidence (0-1) and source.
+ */
+
+const { readPdfInfo } = require('./pdfText');
+const {
+    CROSSREF_TYPES,
+    formatCrossrefAuthors,
+    findDoi,
+    findArxivId,
+    fetchCrossrefWork,
+    fetchArxivEntry
+} = require('./scholarlyApi');
+
+const CONFIDENCE = {
+    crossref: 0.95,
+    arxiv: 0.9,
+    agreement: 0.99,   // Resolved title matches the title printed in the PDF
+    identifier: 0.9,   // DOI / arXiv ID found in the PDF but not resolved
+    pdfInfo: 0.6,
+    firstPage: 0.4
+};
+
+// Producer defaults that are not real titles
+const GENERIC_TITLE = /^(untitled|title|document\d*|microsoft word\b.*|slide \d+)$|\.(docx?|tex|dvi|pdf|indd)$/i;
+// First-page lines that are set large but are not the title
+const RUNNING_HEAD = /\b(journal|volume|vol\.|issue|doi|arxiv|https?:|www\.|©|copyright|preprint|proceedings)\b/i;
+
+const normalizeTitle = (value) => (value || '').toString().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Largest-font run of lines near the top of the first page
+const titleFromFirstPage = (layer) => {
+    const lines = layer.blocks.flatMap(block => block.lines)
+        .filter(line => /\p{L}{3,}/u.test(line.text) && !RUNNING_HEAD.test(line.text));
+    const candidates = lines.filter(line => line.text.length >= 8);
+    if (candidates.length === 0) return null;
+
+    // Title lines are consecutive lines set in the largest size
+    const maxSize = Math.max(...candidates.map(line => line.fontSize));
+    const isTitleSize = (line) => line.fontSize >= maxSize - 0.5;
+    const start = lines.findIndex(line => line.text.length >= 8 && isTitleSize(line));
+    let end = start;
+    while (end + 1 < lines.length && isTitleSize(lines[end + 1])) end++;
+
+    const title = lines.slice(start, end + 1)
+        .map(line => line.text)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return title.length >= 8 && title.length <= 300 ? title : null;
+};
+
+// "Jane Doe, John Smith and A. Lee" -> "Doe, Jane; Smith, John; Lee, A."
+const authorsFromInfo = (author = '') => {
+    if (!author) return '';
+    const names = author.includes(';')
+        ? author.split(';')
+        : author.split(/,\s*(?:and\s+)?|\s+and\s+|\s*&\s*/);
+    return names
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => {
+            if (name.includes(',')) return name;
+            const parts = name.split(/\s+/);
+            return parts.length > 1 ? `${parts[parts.length - 1]}, ${parts.slice(0, -1).join(' ')}` : name;
+        })
+        .join('; ');
+};
+
+const yearFromText = (text = '') => {
+    const maxYear = new Date().getFullYear() + 1;
+    const match = (text.match(/\b(19|20)\d{2}\b/g) || []).map(Number).find(year => year <= maxYear);
+    return match ? String(match) : null;
+};
+
+const crossrefYear = (item) => {
+    const parts = item.issued?.['date-parts']?.[0] || item.published?.['date-parts']?.[0] || item['published-print']?.['date-parts']?.[0];
+    return parts?.[0] ? String(parts[0]) : null;
+};
+
+/**
+ * Prefilled CreateReference draft for a PDF buffer:
+ * { identifiers, resolvedFrom, draft, fields: { name: { value, confidence, source } }, warnings, pageCount }
+ * `options.fetchImpl` is passed on to the CrossRef and arXiv lookups.
+ */
+async function extractReferenceDraft(buffer, { fetchImpl } = {}) {
+    const { info, pageCount, firstPage } = readPdfInfo(buffer);
+    const fields = {};
+    const warnings = [];
+    const resolvedFrom = [];
+
+    const setField = (name, value, confidence, source) => {
+        if (value === null || value === undefined || value === '') return;
+        if (fields[name] && fields[name].confidence >= confidence) return;
+        fields[name] = { value, confidence, source };
+    };
+
+    // First guesses from the PDF itself
+    if (info.title && !GENERIC_TITLE.test(info.title)) setField('title', info.title, CONFIDENCE.pdfInfo, 'pdf-info');
+    setField('title', titleFromFirstPage(firstPage), CONFIDENCE.firstPage, 'first-page');
+    setField('authors', authorsFromInfo(info.author), CONFIDENCE.pdfInfo, 'pdf-info');
+    setField('keywords', info.keywords.split(/[;,]/).map(k => k.trim()).filter(Boolean).join(', '), CONFIDENCE.pdfInfo, 'pdf-info');
+    setField('year', yearFromText(firstPage.text), CONFIDENCE.firstPage, 'first-page');
+    setField('year', info.creationDate ? yearFromText(info.creationDate) : null, CONFIDENCE.firstPage - 0.1, 'pdf-info');
+
+    const searchText = [info.subject, info.keywords, info.title, firstPage.text].join('\n');
+    const identifiers = {
+        doi: findDoi(searchText),
+        arxivId: findArxivId(searchText)
+    };
+    setField('doi', identifiers.doi, CONFIDENCE.identifier, 'pdf-text');
+
+    const printedTitle = normalizeTitle(fields.title?.value);
+
+    if (identifiers.arxivId) {
+        try {
+            const entry = await fetchArxivEntry(identifiers.arxivId, { fetchImpl });
+            if (entry) {
+                resolvedFrom.push('arxiv');
+                const agrees = printedTitle && normalizeTitle(entry.title) === printedTitle;
+                setField('title', entry.title, agrees ? CONFIDENCE.agreement : CONFIDENCE.arxiv, 'arxiv');
+                setField('authors', entry.authors, CONFIDENCE.arxiv, 'arxiv');
+                setField('year', entry.published ? entry.published.slice(0, 4) : null, CONFIDENCE.arxiv, 'arxiv');
+                setField('summary', entry.summary, CONFIDENCE.arxiv, 'arxiv');
+                setField('source', 'arXiv', CONFIDENCE.arxiv, 'arxiv');
+                setField('type', 'Preprint', CONFIDENCE.arxiv, 'arxiv');
+                setField('url', `https://arxiv.org/abs/${identifiers.arxivId}`, CONFIDENCE.arxiv, 'arxiv');
+                // The published version's DOI, if arXiv knows it
+                if (!identifiers.doi && entry.doi) {
+                    identifiers.doi = entry.doi;
+                    setField('doi', entry.doi, CONFIDENCE.arxiv, 'arxiv');
+                }
+            } else {
+                warnings.push(`arXiv has no record for ${identifiers.arxivId}`);
+            }
+        } catch (error) {
+            warnings.push(`arXiv lookup failed: ${error.message}`);
+        }
+    }
+
+    if (identifiers.doi) {
+        try {
+            const item = await fetchCrossrefWork(identifiers.doi, { fetchImpl });
+            if (item) {
+                resolvedFrom.push('crossref');
+                const title = item.title?.[0];
+                const agrees = printedTitle && normalizeTitle(title) === printedTitle;
+                setField('title', title, agrees ? CONFIDENCE.agreement : CONFIDENCE.crossref, 'crossref');
+                setField('authors', formatCrossrefAuthors(item), CONFIDENCE.crossref, 'crossref');
+                setField('year', crossrefYear(item), CONFIDENCE.crossref, 'crossref');
+                setField('source', item['container-title']?.[0] || item.publisher, CONFIDENCE.crossref, 'crossref');
+                setField('type', CROSSREF_TYPES[item.type] || 'Article', CONFIDENCE.crossref, 'crossref');
+                setField('doi', item.DOI, CONFIDENCE.agreement, 'crossref');
+                setField('url', item.URL || `https://doi.org/${item.DOI}`, CONFIDENCE.crossref, 'crossref');
+                setField('summary', item.abstract?.replace(/<[^>]*>/g, '').trim(), CONFIDENCE.crossref, 'crossref');
+                setField('keywords', (item.subject || []).join(', '), CONFIDENCE.crossref - 0.2, 'crossref');
+            } else {
+                warnings.push(`CrossRef has no record for ${identifiers.doi}`);
+            }
+        } catch (error) {
+            warnings.push(`CrossRef lookup failed: ${error.message}`);
+        }
+    }
+
+    const draft = {};
+    Object.entries(fields).forEach(([name, field]) => {
+        draft[name] = field.value;
+    });
+
+    return {
+        pageCount,
+        identifiers,
+        resolvedFrom,
+        draft,
+        fields,
+        warnings
+    };
+}
+
+module.exports = {
+    extractReferenceDraft
+};
@@ -0,0 +1,122 @@
+/**
+ * Reference Query Utility
+ * Builds parameterized Cosmos SQL for searching, filtering and sorting the
+ * references container. Filters come from GET query parameters or a JSON body.
+ */
+
+// Library view: never dismissed newsreader entries, trashed references or merge redirects
+const ACTIVE_REFERENCE_CONDITION = '(NOT IS_DEFINED(c.dismissed) OR c.dismissed != true) AND (NOT IS_DEFINED(c.deleted) OR c.deleted != true) AND NOT IS_DEFINED(c.mergedInto)';
+
+const SORT_FIELDS = {
+    added: 'c.dateAdded',
+    modified: 'c._ts',
+    title: 'c.title',
+    year: 'c.year',
+    authors: 'c.authors[0].family',
+    status: 'c.ref_knowledge_status'
+};
+
+const FILTER_KEYS = ['q', 'yearFrom', 'yearTo', 'type', 'discipline', 'tags', 'knowledgeStatus', 'collection', 'recursive', 'sort', 'order'];
+
+// Years are stored as numbers or numeric strings
+const YEAR_EXPRESSION = '(IS_NUMBER(c.year) ? c.year : StringToNumber(c.year))';
+
+// Match a term in a field stored as a string or an array of strings
+const listContains = (field, param) =>
+    `(CONTAINS(${field}, ${param}, true) OR EXISTS(SELECT VALUE v FROM v IN ${field} WHERE CONTAINS(v, ${param}, true)))`;
+
+// Authors are a string, or an array of names / { family, given, literal } objects
+const authorsContain = (param) =>
+    `(CONTAINS(c.authors, ${param}, true) OR EXISTS(SELECT VALUE a FROM a IN c.authors WHERE ` +
+    `CONTAINS(a, ${param}, true) OR CONTAINS(a.family, ${param}, true) OR CONTAINS(a.given, ${param}, true) OR CONTAINS(a.literal, ${param}, true)))`;
+
+const splitList = (value) => (Array.isArray(value) ? value : (value ? String(value).split(',') : []))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Filters from URLSearchParams (GET) or a plain object (JSON body)
+ */
+function parseReferenceFilters(source) {
+    const get = (key) => (typeof source?.get === 'function' ? source.get(key) : source?.[key]);
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        const value = get(key);
+        if (value !== null && value !== undefined && value !== '') filters[key] = value;
+    });
+    return filters;
+}
+
+/**
+ * Query spec for the active references matching `filters`:
+ * q (every word must appear in title, authors, summary or keywords), yearFrom,
+ * yearTo, type, discipline, tags (all required), knowledgeStatus (one or a
+ * comma list), collection (collection ids, any of which may match; callers expand
+ * `recursive` with collections.resolveCollectionScope), sort
+ * (added|modified|title|year|authors|status) and order.
+ * Throws on invalid values with `error.status = 400`.
+ */
+function buildReferenceQuery(filters = {}, { select = '*' } = {}) {
+    const conditions = [ACTIVE_REFERENCE_CONDITION];
+    const parameters = [];
+    const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+    const terms = String(filters.q || '').toLowerCase().split(/\s+/).filter(Boolean).slice(0, 10);
+    terms.forEach((term, i) => {
+        const param = `@q${i}`;
+        parameters.push({ name: param, value: term });
+        conditions.push(`(CONTAINS(c.title, ${param}, true) OR CONTAINS(c.summary, ${param}, true) OR ${authorsContain(param)} OR ${listContains('c.keywords', param)})`);
+    });
+
+    ['yearFrom', 'yearTo'].forEach(key => {
+        if (filters[key] === undefined) return;
+        const year = parseInt(filters[key], 10);
+        if (Number.isNaN(year)) throw invalid(`${key} must be a year`);
+        parameters.push({ name: `@${key}`, value: year });
+        conditions.push(`${YEAR_EXPRESSION} ${key === 'yearFrom' ? '>=' : '<='} @${key}`);
+    });
+
+    if (filters.type) {
+        parameters.push({ name: '@type', value: String(filters.type).toLowerCase() });
+        conditions.push('LOWER(c.type) = @type');
+    }
+
+    if (filters.discipline) {
+        parameters.push({ name: '@discipline', value: String(filters.discipline) });
+        conditions.push(listContains('c.discipline', '@discipline'));
+    }
+
+    splitList(filters.tags).forEach((tag, i) => {
+        parameters.push({ name: `@tag${i}`, value: tag });
+        conditions.push(listContains('c.tags', `@tag${i}`));
+    });
+
+    if (filters.knowledgeStatus !== undefined) {
+        const statuses = splitList(filters.knowledgeStatus).map(value => parseInt(value, 10));
+        if (statuses.length === 0 || statuses.some(Number.isNaN)) throw invalid('knowledgeStatus must be a number or comma list of numbers');
+        parameters.push({ name: '@statuses', value: statuses });
+        conditions.push('ARRAY_CONTAINS(@statuses, IS_DEFINED(c.ref_knowledge_status) ? c.ref_knowledge_status : 0)');
+    }
+
+    const collections = splitList(filters.collection);
+    if (collections.length > 0) {
+        parameters.push({ name: '@collections', value: collections });
+        conditions.push('EXISTS(SELECT VALUE x FROM x IN c.collections WHERE ARRAY_CONTAINS(@collections, x))');
+    }
+
+    const sortKey = filters.sort || 'modified';
+    if (!SORT_FIELDS[sortKey]) throw invalid(`Invalid sort. Use: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    const order = String(filters.order || (sortKey === 'title' || sortKey === 'authors' ? 'asc' : 'desc')).toUpperCase();
+    if (order !== 'ASC' && order !== 'DESC') throw invalid('Invalid order. Use: asc or desc');
+
+    return {
+        query: `SELECT ${select} FROM c WHERE ${conditions.join(' AND ')} ORDER BY ${SORT_FIELDS[sortKey]} ${order}`,
+        parameters
+    };
+}
+
+module.exports = {
+    ACTIVE_REFERENCE_CONDITION,
+    parseReferenceFilters,
+    buildReferenceQuery
+};
@@ -0,0 +1,102 @@
+/**
+ * Reference Revision Utility
+ * Field-level revision log for references. Each write that changes a reference
+ * stores { referenceId, origin, changes: [{ field, before, after }], dateCreated };
+ * a missing `before` / `after` means the field was absent on that side.
+ */
+
+const { queryItems, createItem, deleteItem } = require('./cosmosClient');
+
+const CONTAINER_REVISIONS = process.env.COSMOSDB_CONTAINER_REVISIONS || 'revisions';
+
+const REVISION_ORIGINS = ['manual', 'ai', 'import', 'merge', 'restore'];
+
+// Bookkeeping that changes on every write or is owned by the KB pipeline
+const IGNORED_FIELDS = new Set(['id', 'dateModified', 'ref_knowledge_status']);
+const isTrackedField = (field) => !IGNORED_FIELDS.has(field) && !field.startsWith('_') && !field.startsWith('kb_');
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Changed fields between two versions of a reference: [{ field, before, after }]
+ */
+function diffReference(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    fields.forEach(field => {
+        if (!isTrackedField(field) || sameValue(before[field], after[field])) return;
+        const change = { field };
+        if (before[field] !== undefined) change.before = before[field];
+        if (after[field] !== undefined) change.after = after[field];
+        changes.push(change);
+    });
+    return changes;
+}
+
+/**
+ * Store a revision for a write; returns null when nothing tracked changed
+ */
+async function recordRevision(referenceId, before, after, origin = 'manual', details = {}) {
+    const changes = diffReference(before, after);
+    if (changes.length === 0) return null;
+
+    const now = new Date();
+    return createItem(CONTAINER_REVISIONS, {
+        id: `rev_${referenceId}_${now.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+        type: 'revision',
+        referenceId,
+        origin,
+        changes,
+        ...details,
+        dateCreated: now.toISOString()
+    });
+}
+
+/**
+ * Revisions of a reference, newest first
+ */
+async function listRevisions(referenceId) {
+    return queryItems(CONTAINER_REVISIONS, {
+        query: 'SELECT * FROM c WHERE c.referenceId = @referenceId ORDER BY c.dateCreated DESC',
+        parameters: [{ name: '@referenceId', value: referenceId }]
+    });
+}
+
+/**
+ * The reference as it was before `revisionId`: every change from that revision
+ * onwards is undone, newest first. Returns null when the revision is unknown.
+ */
+function rollBackTo(reference, revisions, revisionId) {
+    const index = revisions.findIndex(revision => revision.id === revisionId);
+    if (index === -1) return null;
+
+    const restored = { ...reference };
+    revisions.slice(0, index + 1).forEach(revision => {
+        revision.changes.forEach(change => {
+            if ('before' in change) restored[change.field] = change.before;
+            else delete restored[change.field];
+        });
+    });
+    return restored;
+}
+
+async function deleteRevisionsForReference(referenceId) {
+    const revisions = await queryItems(CONTAINER_REVISIONS, {
+        query: 'SELECT c.id FROM c WHERE c.referenceId = @referenceId',
+        parameters: [{ name: '@referenceId', value: referenceId }]
+    });
+    for (const revision of revisions) {
+        await deleteItem(CONTAINER_REVISIONS, revision.id, revision.id);
+    }
+    return revisions.length;
+}
+
+module.exports = {
+    CONTAINER_REVISIONS,
+    REVISION_ORIGINS,
+    diffReference,
+    recordRevision,
+    listRevisions,
+    rollBackTo,
+    deleteRevisionsForReference
+};
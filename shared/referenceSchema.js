@@ -0,0 +1,187 @@
+/**
+ * Reference Schema
+ * Declared shape of a reference document. Writes are validated and normalized:
+ * authors become [{ family, given } | { literal }], year an integer, the DOI its
+ * bare lower-case form and keywords / tags / projects / collections arrays of strings;
+ * file entries get the `sha256` of content-addressed uploads.
+ * Fields not declared here (analysis sections, KB status) pass through unchanged.
+ */
+
+const { parseAuthors } = require('./bibliography');
+const { fileSha256 } = require('./referenceFiles');
+
+const REFERENCE_TYPES = [
+    'Journal Article',
+    'Conference Paper',
+    'Book Section',
+    'Book',
+    'Thesis',
+    'Report',
+    'Webpage',
+    'Manuscript',
+    'Preprint',
+    'Article'
+];
+
+const REFERENCE_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 1000 },
+    authors: { type: 'authors' },
+    year: { type: 'year' },
+    source: { type: 'string', maxLength: 500 },
+    type: { type: 'enum', values: REFERENCE_TYPES },
+    doi: { type: 'doi' },
+    url: { type: 'url' },
+    summary: { type: 'string' },
+    notes: { type: 'string' },
+    discipline: { type: 'string', maxLength: 200 },
+    keywords: { type: 'list' },
+    tags: { type: 'list' },
+    projects: { type: 'list' },
+    collections: { type: 'list' },
+    files: { type: 'files' }
+};
+
+const MIN_YEAR = 1000;
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const canonicalDoi = (doi) => (doi || '').toString().trim().toLowerCase()
+    .replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '');
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Each normalizer returns the stored value or throws invalid(message) for the field
+const NORMALIZERS = {
+    string: (value, rule) => {
+        if (typeof value !== 'string' && typeof value !== 'number') throw invalid('must be a string');
+        const text = String(value).trim();
+        if (rule.maxLength && text.length > rule.maxLength) throw invalid(`must be at most ${rule.maxLength} characters`);
+        return text;
+    },
+    enum: (value, rule) => {
+        const match = rule.values.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+        if (!match) throw invalid(`must be one of: ${rule.values.join(', ')}`);
+        return match;
+    },
+    authors: (value) => {
+        if (typeof value !== 'string' && !Array.isArray(value)) throw invalid('must be a string or an array of names');
+        if (Array.isArray(value) && value.some(name => typeof name !== 'string' && (!name || typeof name !== 'object'))) {
+            throw invalid('entries must be names or { family, given } objects');
+        }
+        return parseAuthors(value).map(author => (author.family
+            ? { family: author.family.trim(), given: (author.given || '').trim() }
+            : { literal: author.literal.trim() }));
+    },
+    year: (value) => {
+        const text = String(value).trim();
+        if (!/^\d{4}$/.test(text)) throw invalid('must be a four-digit year');
+        const year = parseInt(text, 10);
+        if (year < MIN_YEAR || year > new Date().getFullYear() + 5) throw invalid('is out of range');
+        return year;
+    },
+    doi: (value) => {
+        if (typeof value !== 'string') throw invalid('must be a string');
+        const doi = canonicalDoi(value);
+        if (!DOI_PATTERN.test(doi)) throw invalid('must look like 10.xxxx/suffix');
+        return doi;
+    },
+    url: (value) => {
+        if (typeof value !== 'string') throw invalid('must be a string');
+        const url = value.trim();
+        if (!/^https?:\/\/\S+$/i.test(url)) throw invalid('must be an http(s) URL');
+        return url;
+    },
+    list: (value) => {
+        if (typeof value !== 'string' && !Array.isArray(value)) throw invalid('must be a comma-separated string or an array');
+        const items = Array.isArray(value) ? value : value.split(/[,;]/);
+        if (items.some(item => typeof item !== 'string' && typeof item !== 'number')) throw invalid('entries must be strings');
+        const seen = new Map();
+        items.map(item => String(item).trim()).filter(Boolean).forEach(item => {
+            if (!seen.has(item.toLowerCase())) seen.set(item.toLowerCase(), item);
+        });
+        return Array.from(seen.values());
+    },
+    files: (value) => {
+        if (!Array.isArray(value)) throw invalid('must be an array');
+        value.forEach(file => {
+            if (!file || typeof file !== 'object' || !(file.blobName || file.url)) throw invalid('entries need a blobName or url');
+            if (file.sha256 !== undefined && !/^[0-9a-f]{64}$/.test(file.sha256)) throw invalid('sha256 must be a hex SHA-256 digest');
+        });
+        // Content-addressed uploads carry their hash in the blob name
+        return value.map(file => (fileSha256(file) && !file.sha256 ? { ...file, sha256: fileSha256(file) } : file));
+    }
+};
+
+// Stored value for a cleared field
+const emptyValue = (rule) => {
+    if (rule.type === 'year') return null;
+    if (['authors', 'list', 'files'].includes(rule.type)) return [];
+    return '';
+};
+
+/**
+ * { reference, errors } for `data`. Declared fields are normalized; fields that
+ * fail keep their original value and add { field, message } to `errors`.
+ * With `partial` (updates) missing required fields are not reported. With
+ * `existing` (the stored document) fields sent back unchanged are not checked,
+ * so a legacy value saved before the schema does not block editing the rest.
+ */
+function normalizeReference(data, { partial = false, existing = null } = {}) {
+    const reference = { ...data };
+    const errors = [];
+
+    Object.entries(REFERENCE_SCHEMA).forEach(([field, rule]) => {
+        if (!(field in reference)) {
+            if (rule.required && !partial) errors.push({ field, message: 'is required' });
+            return;
+        }
+        if (existing && JSON.stringify(reference[field]) === JSON.stringify(existing[field])) return;
+        if (isBlank(reference[field])) {
+            if (rule.required) errors.push({ field, message: 'is required' });
+            else reference[field] = emptyValue(rule);
+            return;
+        }
+        try {
+            reference[field] = NORMALIZERS[rule.type](reference[field], rule);
+        } catch (error) {
+            if (error.status !== 400) throw error;
+            errors.push({ field, message: error.message });
+        }
+    });
+
+    return { reference, errors };
+}
+
+/**
+ * Normalized reference, or throws with `error.status = 400` and `error.fields`
+ */
+function validateReference(data, options = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw Object.assign(new Error('Reference must be a JSON object'), { status: 400, fields: [] });
+    }
+    const { reference, errors } = normalizeReference(data, options);
+    if (errors.length > 0) {
+        const message = `Invalid reference: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`;
+        throw Object.assign(new Error(message), { status: 400, fields: errors });
+    }
+    return reference;
+}
+
+/**
+ * Authors as display text: "Family, Given; Family, Given"
+ */
+function formatAuthors(authors) {
+    return parseAuthors(authors)
+        .map(author => (author.family ? [author.family, author.given].filter(Boolean).join(', ') : author.literal))
+        .join('; ');
+}
+
+module.exports = {
+    REFERENCE_TYPES,
+    REFERENCE_SCHEMA,
+    canonicalDoi,
+    normalizeReference,
+    validateReference,
+    formatAuthors
+};
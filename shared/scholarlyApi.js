@@ -0,0 +1,127 @@
+/**
+ * Scholarly API Utility
+ * CrossRef and arXiv lookups plus DOI / arXiv identifier detection.
+ * Base URLs can be changed (e.g. to a mirror or proxy) with CROSSREF_API_URL and ARXIV_API_URL;
+ * the fetch functions take a `fetchImpl` so tests can answer with a local mock.
+ */
+
+const CROSSREF_API_URL = (process.env.CROSSREF_API_URL || 'https://api.crossref.org').replace(/\/$/, '');
+const ARXIV_API_URL = (process.env.ARXIV_API_URL || 'https://export.arxiv.org/api').replace(/\/$/, '');
+const CROSSREF_USER_AGENT = 'PhD-Helper/1.0 (mailto:research@example.com)';
+
+const CROSSREF_TYPES = {
+    'journal-article': 'Journal Article',
+    'book-chapter': 'Book Section',
+    'proceedings-article': 'Conference Paper'
+};
+
+// DOIs end at whitespace or markup; trailing punctuation belongs to the sentence
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/i;
+// New-style (2101.01234v2) and old-style (hep-th/9901001) arXiv identifiers
+const ARXIV_PATTERN = /\barXiv\s*:\s*(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?/i;
+
+const decodeXml = (value) => (value || '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+
+const extractTag = (entry, tag) => {
+    const regex = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i');
+    const match = entry.match(regex);
+    return match ? decodeXml(match[1].trim()) : '';
+};
+
+/**
+ * Entries of an arXiv Atom feed: [{ title, summary, published, id, doi, authors }]
+ */
+function parseArxivEntries(xml) {
+    const entries = xml.split('<entry>').slice(1);
+    return entries.map(entry => {
+        const title = extractTag(entry, 'title').replace(/\s+/g, ' ').trim();
+        const summary = extractTag(entry, 'summary').replace(/\s+/g, ' ').trim();
+        const published = extractTag(entry, 'published') || extractTag(entry, 'updated');
+        const id = extractTag(entry, 'id');
+        const doi = extractTag(entry, 'arxiv:doi');
+        const authors = Array.from(entry.matchAll(/<name>([^<]+)<\/name>/gi))
+            .map(match => decodeXml(match[1].trim()))
+            .join('; ');
+        return {
+            title,
+            summary,
+            published,
+            id,
+            doi,
+            authors
+        };
+    }).filter(entry => entry.title);
+}
+
+/**
+ * CrossRef author list as "Family, Given; Family, Given"
+ */
+function formatCrossrefAuthors(item) {
+    return (item.author || [])
+        .filter(a => a.family || a.name)
+        .map(a => a.family && a.given ? `${a.family}, ${a.given}` : a.family || a.name)
+        .join('; ');
+}
+
+/**
+ * First DOI in a piece of text, without trailing punctuation
+ */
+function findDoi(text = '') {
+    const match = text.match(DOI_PATTERN);
+    return match ? match[1].replace(/[.,;:)\]}'"]+$/, '') : null;
+}
+
+/**
+ * First arXiv identifier in a piece of text (version suffix dropped)
+ */
+function findArxivId(text = '') {
+    const match = text.match(ARXIV_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * CrossRef work record for a DOI, or null when CrossRef does not know it.
+ * `fetchImpl` replaces the global fetch (tests pass a mock).
+ */
+async function fetchCrossrefWork(doi, { fetchImpl = fetch } = {}) {
+    const response = await fetchImpl(`${CROSSREF_API_URL}/works/${encodeURIComponent(doi)}`, {
+        headers: { 'User-Agent': CROSSREF_USER_AGENT }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    return data.message || null;
+}
+
+/**
+ * arXiv feed entry for an identifier, or null when arXiv does not know it.
+ * `fetchImpl` replaces the global fetch (tests pass a mock).
+ */
+async function fetchArxivEntry(arxivId, { fetchImpl = fetch } = {}) {
+    const response = await fetchImpl(`${ARXIV_API_URL}/query?id_list=${encodeURIComponent(arxivId)}`, {
+        headers: { 'User-Agent': 'PhD-Helper/1.0' }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const [entry] = parseArxivEntries(await response.text());
+    // Unknown identifiers come back as a single error entry
+    if (!entry || entry.id.includes('/api/errors')) return null;
+    return entry;
+}
+
+module.exports = {
+    CROSSREF_API_URL,
+    ARXIV_API_URL,
+    CROSSREF_USER_AGENT,
+    CROSSREF_TYPES,
+    parseArxivEntries,
+    formatCrossrefAuthors,
+    findDoi,
+    findArxivId,
+    fetchCrossrefWork,
+    fetchArxivEntry
+};
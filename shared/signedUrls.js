@@ -0,0 +1,73 @@
+/**
+ * Signed URL Utility
+ * The uploads and pages containers are private; responses that point at their
+ * blobs add a short-lived read-only SAS link as `signedUrl`. Stored `url` /
+ * `blobUrl` values stay as they are and no longer open on their own.
+ */
+
+const { getReadSasUrl } = require('./blobClient');
+const { resolveFileBlobName } = require('./referenceFiles');
+
+const BLOB_CONTAINER_UPLOADS = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+const BLOB_CONTAINER_PAGES = process.env.BLOB_CONTAINER_PAGES || 'pages';
+const SAS_EXPIRY_MINUTES = parseInt(process.env.BLOB_SAS_EXPIRY_MINUTES || '60', 10);
+const SAS_MAX_EXPIRY_MINUTES = parseInt(process.env.BLOB_SAS_MAX_EXPIRY_MINUTES || '1440', 10);
+
+// Containers the API hands out links for
+const SIGNABLE_CONTAINERS = [BLOB_CONTAINER_UPLOADS, BLOB_CONTAINER_PAGES];
+
+/**
+ * Expiry for a link lasting `minutes` (default BLOB_SAS_EXPIRY_MINUTES, capped at BLOB_SAS_MAX_EXPIRY_MINUTES)
+ */
+function sasExpiry(minutes) {
+    const requested = parseInt(minutes, 10);
+    const lifetime = Number.isNaN(requested) || requested < 1 ? SAS_EXPIRY_MINUTES : Math.min(requested, SAS_MAX_EXPIRY_MINUTES);
+    return new Date(Date.now() + lifetime * 60 * 1000);
+}
+
+/**
+ * Reference with `signedUrl` on each file stored in the uploads container
+ */
+async function withSignedFiles(reference, expiresOn = sasExpiry()) {
+    if (!Array.isArray(reference?.files) || reference.files.length === 0) return reference;
+    const files = await Promise.all(reference.files.map(async file => {
+        // Links to other sites (publisher pages, repositories) are left alone
+        const stored = file.blobName || (file.url || '').includes(`/${BLOB_CONTAINER_UPLOADS}/`);
+        const blobName = stored ? resolveFileBlobName(file) : null;
+        if (!blobName) return file;
+        return { ...file, signedUrl: await getReadSasUrl(BLOB_CONTAINER_UPLOADS, blobName, { expiresOn, fileName: file.name }) };
+    }));
+    return { ...reference, files };
+}
+
+/**
+ * Page record with `signedUrl` for the OCR image and on each render variant
+ */
+async function withSignedPage(page, expiresOn = sasExpiry()) {
+    const signed = { ...page };
+    if (page.blobName) signed.signedUrl = await getReadSasUrl(BLOB_CONTAINER_PAGES, page.blobName, { expiresOn });
+    if (page.variants) {
+        const entries = await Promise.all(Object.entries(page.variants).map(async ([name, variant]) => [
+            name,
+            variant.blobName ? { ...variant, signedUrl: await getReadSasUrl(BLOB_CONTAINER_PAGES, variant.blobName, { expiresOn }) } : variant
+        ]));
+        signed.variants = Object.fromEntries(entries);
+    }
+    return signed;
+}
+
+/**
+ * Figure crop with `signedUrl`
+ */
+async function withSignedFigure(figure, expiresOn = sasExpiry()) {
+    if (!figure.blobName) return figure;
+    return { ...figure, signedUrl: await getReadSasUrl(BLOB_CONTAINER_PAGES, figure.blobName, { expiresOn }) };
+}
+
+module.exports = {
+    SIGNABLE_CONTAINERS,
+    sasExpiry,
+    withSignedFiles,
+    withSignedPage,
+    withSignedFigure
+};
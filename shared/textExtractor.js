@@ -1,23 +1,336 @@
+/**
+ * Text Extractor Registry
+ * One extractor per document type in fileTypes.FILE_TYPES, found by type key,
+ * MIME type or file extension. An extractor resolves to { text, pages } where
+ * `pages` is null for formats without natural divisions, or lists
+ * { pageNumber, text, title?, quality? } for PDF pages, EPUB chapters and slides.
+ */
+
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { FILE_TYPES, SNIFF_BYTES, fileExtension, detectFileType } = require('./fileTypes');
 
-async function extractTextFromBuffer(buffer, fileType) {
-    try {
-        if (fileType === 'pdf' || fileType === 'application/pdf') {
-            const data = await pdfParse(buffer);
-            return data.text;
-        } else if (fileType === 'docx' || fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-            const result = await mammoth.extractRawText({ buffer: buffer });
-            return result.value;
-        } else {
-            throw new Error('Unsupported file type for text extraction');
+const extractorsByType = {};
+const typesByMimeType = {};
+const typesByExtension = {};
+
+/**
+ * Register `extract(buffer, options)` for a FILE_TYPES key; `mimeTypes` adds aliases
+ * beyond the canonical MIME type (e.g. text/x-markdown)
+ */
+function registerTextExtractor(type, extract, { mimeTypes = [] } = {}) {
+    if (!FILE_TYPES[type]) throw new Error(`Unknown file type: ${type}`);
+    extractorsByType[type] = extract;
+    [FILE_TYPES[type].mimeType, ...mimeTypes].forEach(mimeType => {
+        typesByMimeType[mimeType] = type;
+    });
+    FILE_TYPES[type].extensions.forEach(extension => {
+        typesByExtension[extension] = type;
+    });
+}
+
+/**
+ * Registered type key for a type key, MIME type, extension or file name; null when none
+ */
+function resolveTextType(fileType) {
+    const value = String(fileType || '').toLowerCase().split(';')[0].trim();
+    if (extractorsByType[value]) return value;
+    return typesByMimeType[value] || typesByExtension[value] || typesByExtension[fileExtension(value)] || null;
+}
+
+/**
+ * Type key for a downloaded file: sniffed from its bytes, or from its name when the content is not conclusive
+ */
+function detectTextType(buffer, fileName = '') {
+    const detected = detectFileType(buffer.subarray(0, SNIFF_BYTES), fileName);
+    return resolveTextType(detected?.type) || resolveTextType(fileName);
+}
+
+const getTextTypes = () => Object.keys(extractorsByType);
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '',
+    ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Trim each line, collapse runs of spaces and keep at most one blank line between paragraphs
+const tidyText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const asDocument = (text) => ({ text: tidyText(text), pages: null });
+
+// Sections with text, numbered from 1
+const asSections = (sections) => {
+    const pages = sections
+        .map(section => ({ ...section, text: tidyText(section.text) }))
+        .filter(section => section.text)
+        .map((section, index) => ({ pageNumber: index + 1, ...section }));
+    return { text: pages.map(page => page.text).join('\n\n'), pages };
+};
+
+/**
+ * Readable text of an HTML or XHTML document: scripts, styles and navigation
+ * dropped, block elements on their own lines, entities decoded
+ */
+function htmlToText(html) {
+    const body = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(head|script|style|noscript|template|svg|nav)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<br\b[^>]*>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|main|header|footer|aside|h[1-6]|ul|ol|li|dl|dt|dd|table|tr|blockquote|pre|figure|figcaption|hr)\b[^>]*>/gi, '\n\n')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(body);
+}
+
+const htmlTitle = (html) => {
+    const match = html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) || html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? tidyText(decodeEntities(match[1].replace(/<[^>]+>/g, ''))) : '';
+};
+
+const decodeUtf8 = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+// Markdown with the markup removed; link and image text kept, code kept as is
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^---\n[\s\S]*?\n---\n/, '')
+        .replace(/^\s*(```|~~~).*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s{0,3}>\s?/gm, '')
+        .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/^(\s*)[-*+]\s+/gm, '$1')
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_](?=\S)([^*_\n]*?\S)[*_](?![\w*])/g, '$1$2')
+        .replace(/`([^`\n]+)`/g, '$1');
+}
+
+// Groups whose content is formatting or metadata, not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+    'footer', 'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+    'filetbl', 'revtbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl'
+]);
+
+const RTF_CHARACTERS = {
+    par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+    emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', bullet: '•'
+};
+
+const RTF_TOKEN = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|[^\\{}\r\n]+/gi;
+
+/**
+ * Plain text of an RTF document. Handles groups, \uN Unicode escapes (with their
+ * fallback characters) and \'hh Windows-1252 bytes.
+ */
+function rtfToText(rtf) {
+    const windows1252 = new TextDecoder('windows-1252');
+    const stack = [];
+    let state = { skip: false, uc: 1 };
+    let fallbackChars = 0;
+    let groupStart = false;
+    const out = [];
+
+    for (const [token, word, param, hex, symbol, brace] of rtf.matchAll(RTF_TOKEN)) {
+        const atGroupStart = groupStart;
+        groupStart = false;
+
+        if (brace === '{') {
+            stack.push(state);
+            state = { ...state };
+            groupStart = true;
+        } else if (brace === '}') {
+            state = stack.pop() || state;
+        } else if (word) {
+            if (atGroupStart && RTF_SKIPPED_DESTINATIONS.has(word)) state.skip = true;
+            if (state.skip) continue;
+            if (word === 'uc') {
+                state.uc = Number(param || 1);
+            } else if (word === 'u') {
+                const code = Number(param);
+                out.push(String.fromCharCode(code < 0 ? code + 65536 : code));
+                fallbackChars = state.uc;
+            } else if (RTF_CHARACTERS[word]) {
+                out.push(RTF_CHARACTERS[word]);
+            }
+        } else if (symbol) {
+            // {\*\destination ...} marks groups that readers may ignore
+            if (symbol === '*' && atGroupStart) state.skip = true;
+            if (state.skip) continue;
+            if (symbol === '\\' || symbol === '{' || symbol === '}') out.push(symbol);
+            else if (symbol === '~') out.push(' ');
+            else if (symbol === '_') out.push('-');
+            else if (symbol === '\n' || symbol === '\r') out.push('\n');
+        } else if (!state.skip && hex) {
+            if (fallbackChars > 0) fallbackChars -= 1;
+            else out.push(windows1252.decode(Buffer.from(hex, 'hex')));
+        } else if (!state.skip && !/^[\r\n]+$/.test(token)) {
+            const skipped = Math.min(fallbackChars, token.length);
+            fallbackChars -= skipped;
+            out.push(token.slice(skipped));
         }
+    }
+    return out.join('');
+}
+
+// Text of an OpenDocument content.xml: one paragraph per text:p / text:h
+function odfXmlToText(xml) {
+    const body = xml.slice(Math.max(0, xml.indexOf('<office:body')))
+        .replace(/<text:tab\/>/g, '\t')
+        .replace(/<text:line-break\/>/g, '\n')
+        .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(Number(count || 1)))
+        .replace(/<\/text:(p|h)>/g, '\n\n')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(body);
+}
+
+// Text runs of a DrawingML part (slides, notes), one line per paragraph
+const drawingMlToText = (xml) => decodeEntities(
+    Array.from(xml.matchAll(/<a:t>([\s\S]*?)<\/a:t>|<a:t\/>|<\/a:p>|<a:br\b[^>]*\/>/g), ([match, text]) => (
+        text !== undefined ? text : (match.startsWith('</a:p') || match.startsWith('<a:br') ? '\n' : '')
+    )).join('')
+);
+
+const readZipText = async (zip, path) => {
+    const entry = zip.file(path);
+    return entry ? entry.async('string') : null;
+};
+
+const xmlAttributes = (tag) => Object.fromEntries(
+    Array.from(tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g), ([, name, value]) => [name, decodeEntities(value)])
+);
+
+// Resolve an href from a package part against the directory of that part
+const resolvePartPath = (fromPath, href) => {
+    const parts = fromPath.split('/').slice(0, -1);
+    decodeURIComponent(href.split('#')[0]).split('/').forEach(segment => {
+        if (segment === '..') parts.pop();
+        else if (segment && segment !== '.') parts.push(segment);
+    });
+    return parts.join('/');
+};
+
+// Spine order of an EPUB: container.xml names the package document, whose spine lists the chapters
+async function extractEpub(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const container = await readZipText(zip, 'META-INF/container.xml');
+    const packagePath = container?.match(/full-path="([^"]+)"/)?.[1];
+    const opf = packagePath ? await readZipText(zip, packagePath) : null;
+    if (!opf) throw new Error('EPUB has no package document');
+
+    const manifest = {};
+    for (const [tag] of opf.matchAll(/<(?:opf:)?item\b[^>]*>/g)) {
+        const { id, href } = xmlAttributes(tag);
+        if (id && href) manifest[id] = resolvePartPath(packagePath, href);
+    }
+    const spine = Array.from(opf.matchAll(/<(?:opf:)?itemref\b[^>]*>/g), ([tag]) => manifest[xmlAttributes(tag).idref]).filter(Boolean);
+
+    const sections = [];
+    for (const path of spine) {
+        const html = await readZipText(zip, path);
+        if (html) sections.push({ title: htmlTitle(html), text: htmlToText(html) });
+    }
+    return asSections(sections);
+}
+
+// Slides in presentation order (presentation.xml relationships), one page per slide
+async function extractPptx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentation = await readZipText(zip, 'ppt/presentation.xml') || '';
+    const relationships = await readZipText(zip, 'ppt/_rels/presentation.xml.rels') || '';
+
+    const targets = {};
+    for (const [tag] of relationships.matchAll(/<Relationship\b[^>]*>/g)) {
+        const { Id, Target } = xmlAttributes(tag);
+        if (Id && Target) targets[Id] = resolvePartPath('ppt/presentation.xml', Target);
+    }
+    let slidePaths = Array.from(presentation.matchAll(/<p:sldId\b[^>]*>/g), ([tag]) => targets[xmlAttributes(tag)['r:id']]).filter(Boolean);
+    if (slidePaths.length === 0) {
+        const slideNumber = (path) => Number(path.match(/slide(\d+)\.xml$/)[1]);
+        slidePaths = Object.keys(zip.files).filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path)).sort((a, b) => slideNumber(a) - slideNumber(b));
+    }
+
+    const sections = [];
+    for (const [index, path] of slidePaths.entries()) {
+        const xml = await readZipText(zip, path);
+        if (xml) sections.push({ title: `Slide ${index + 1}`, text: drawingMlToText(xml) });
+    }
+    return asSections(sections);
+}
+
+registerTextExtractor('pdf', async (buffer, options) => {
+    if (options.pages) {
+        // MuPDF is only loaded when page boundaries are requested
+        const { extractPdfPages } = require('./pdfText');
+        const pages = extractPdfPages(buffer);
+        return {
+            text: pages.map(page => page.text).join('\n\n'),
+            pages: pages
+        };
+    }
+    const data = await pdfParse(buffer);
+    return { text: data.text, pages: null };
+});
+
+registerTextExtractor('docx', async (buffer) => {
+    const result = await mammoth.extractRawText({ buffer: buffer });
+    return { text: result.value, pages: null };
+});
+
+registerTextExtractor('epub', extractEpub);
+registerTextExtractor('pptx', extractPptx);
+
+registerTextExtractor('odt', async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    const content = await readZipText(zip, 'content.xml');
+    if (!content) throw new Error('ODT has no content.xml');
+    return asDocument(odfXmlToText(content));
+});
+
+registerTextExtractor('rtf', async (buffer) => asDocument(rtfToText(buffer.toString('latin1'))), { mimeTypes: ['text/rtf'] });
+registerTextExtractor('html', async (buffer) => asDocument(htmlToText(decodeUtf8(buffer))), { mimeTypes: ['application/xhtml+xml'] });
+registerTextExtractor('markdown', async (buffer) => asDocument(markdownToText(decodeUtf8(buffer))), { mimeTypes: ['text/x-markdown'] });
+registerTextExtractor('txt', async (buffer) => asDocument(decodeUtf8(buffer)));
+
+/**
+ * Extract plain text from a document buffer. `fileType` is a type key, MIME
+ * type or extension (see resolveTextType). With `{ pages: true }` resolves to
+ * `{ text, pages }` (see above), otherwise to the text alone.
+ */
+async function extractTextFromBuffer(buffer, fileType, options = {}) {
+    const type = resolveTextType(fileType);
+    if (!type) {
+        throw new Error(`Unsupported file type for text extraction: ${fileType || 'unknown'} (supported: ${getTextTypes().join(', ')})`);
+    }
+
+    try {
+        const result = await extractorsByType[type](buffer, options);
+        return options.pages ? result : result.text;
     } catch (error) {
         console.error('Text extraction failed:', error);
-        throw new Error('Failed to extract text from file');
+        throw new Error(`Failed to extract text from ${type} file`);
     }
 }
 
 module.exports = {
+    registerTextExtractor,
+    resolveTextType,
+    detectTextType,
+    getTextTypes,
     extractTextFromBuffer
 };
@@ -0,0 +1,23 @@
+/**
+ * Text Token Utility
+ * Keyword tokens for fuzzy title matching (newsreader dismissals, duplicate detection)
+ */
+
+const STOPWORDS = new Set([
+    'about', 'above', 'after', 'again', 'against', 'between', 'beyond', 'could', 'should', 'would',
+    'these', 'those', 'their', 'there', 'where', 'which', 'while', 'with', 'without', 'using',
+    'study', 'studies', 'paper', 'papers', 'research', 'analysis', 'review', 'approach', 'model',
+    'system', 'method', 'methods', 'results', 'effect', 'effects', 'based', 'towards', 'future'
+]);
+
+// Lower-cased words longer than three characters, without stopwords
+const tokenizeText = (text = '') => text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 3 && !STOPWORDS.has(token));
+
+module.exports = {
+    STOPWORDS,
+    tokenizeText
+};
@@ -0,0 +1,160 @@
+/**
+ * Upload Session Utility
+ * Resumable uploads for files too large, or connections too flaky, for a
+ * single request. A session fixes the file size, chunk size and (optionally)
+ * SHA-256 up front. Each chunk is staged as a block of the session's
+ * `tmp/session_<id>` blob in the uploads container, so the blob service keeps
+ * track of which chunks arrived and the session record is not written while
+ * chunks upload (they can be sent in parallel and re-sent after a failure).
+ * Committing assembles the blocks and stores the file by content
+ * (uploads.storeStagedUpload) under a lease: a commit that has not finished
+ * within UPLOAD_SESSION_COMMIT_LEASE_MINUTES (its worker crashed or timed out)
+ * can be taken over by the next one. Sessions still open, or stuck committing,
+ * after UPLOAD_SESSION_EXPIRY_HOURS expire and their staged blocks are discarded.
+ */
+
+const { queryItems, getItem, createItem, replaceItem } = require('./cosmosClient');
+const { blockId, listStagedBlocks, commitBlocks, deleteBlob, blobExists } = require('./blobClient');
+
+const CONTAINER_UPLOAD_SESSIONS = process.env.COSMOSDB_CONTAINER_UPLOAD_SESSIONS || 'uploadSessions';
+const BLOB_CONTAINER_UPLOADS = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+const UPLOAD_SESSION_MAX_BYTES = parseFloat(process.env.UPLOAD_SESSION_MAX_SIZE_MB || '1024') * 1024 * 1024;
+const UPLOAD_SESSION_CHUNK_BYTES = Math.round(parseFloat(process.env.UPLOAD_SESSION_CHUNK_SIZE_MB || '8') * 1024 * 1024);
+const UPLOAD_SESSION_EXPIRY_HOURS = parseFloat(process.env.UPLOAD_SESSION_EXPIRY_HOURS || '24');
+const UPLOAD_SESSION_COMMIT_LEASE_MINUTES = parseFloat(process.env.UPLOAD_SESSION_COMMIT_LEASE_MINUTES || '30');
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const invalid = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Lower-case hex SHA-256, or undefined when not given. Throws with `error.status = 400`.
+ */
+function normalizeSha256(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const sha256 = String(value).trim().toLowerCase();
+    if (!SHA256_PATTERN.test(sha256)) throw invalid('sha256 must be a hex-encoded SHA-256 digest');
+    return sha256;
+}
+
+/**
+ * Validated { size, sha256 } for a new session. Throws with `error.status`
+ * 400, or 413 when the file is larger than UPLOAD_SESSION_MAX_SIZE_MB.
+ */
+function validateSession(data) {
+    if (!data || typeof data !== 'object') throw invalid('Session body must be an object');
+    const size = Number(data.size);
+    if (!Number.isInteger(size) || size < 1) throw invalid('size must be the file size in bytes');
+    if (size > UPLOAD_SESSION_MAX_BYTES) {
+        throw invalid(`File exceeds the maximum upload size of ${UPLOAD_SESSION_MAX_BYTES / (1024 * 1024)} MB`, 413);
+    }
+    return { size, sha256: normalizeSha256(data.sha256) };
+}
+
+async function createSession({ fileName, size, sha256 }) {
+    const now = new Date();
+    const id = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return createItem(CONTAINER_UPLOAD_SESSIONS, {
+        id,
+        type: 'upload-session',
+        status: 'open',
+        fileName,
+        size,
+        sha256: sha256 || null,
+        chunkSize: UPLOAD_SESSION_CHUNK_BYTES,
+        chunkCount: Math.ceil(size / UPLOAD_SESSION_CHUNK_BYTES),
+        stagingBlobName: `tmp/session_${id}`,
+        dateCreated: now.toISOString(),
+        expiresAt: new Date(now.getTime() + UPLOAD_SESSION_EXPIRY_HOURS * 60 * 60 * 1000).toISOString()
+    });
+}
+
+async function getSession(sessionId) {
+    return getItem(CONTAINER_UPLOAD_SESSIONS, sessionId, sessionId);
+}
+
+/**
+ * Save changes to a session; rejects with a 412 error when it changed since it was read
+ */
+async function updateSession(session, changes) {
+    return replaceItem(CONTAINER_UPLOAD_SESSIONS, session.id, session.id, { ...session, ...changes }, { ifMatch: session._etag });
+}
+
+const commitLeaseCutoff = () => new Date(Date.now() - UPLOAD_SESSION_COMMIT_LEASE_MINUTES * 60 * 1000).toISOString();
+
+// A commit whose lease ran out without finishing; the next commit may take it over
+const isCommitStale = (session) => session.status === 'committing' && !(session.committingSince >= commitLeaseCutoff());
+
+const isExpired = (session) => (session.status === 'open' || isCommitStale(session)) && session.expiresAt < new Date().toISOString();
+
+// Every chunk but the last is exactly chunkSize bytes
+const expectedChunkSize = (session, index) => (
+    index < session.chunkCount - 1 ? session.chunkSize : session.size - session.chunkSize * (session.chunkCount - 1)
+);
+
+/**
+ * Chunks staged so far: { receivedChunks, missingChunks, receivedBytes, assembled }.
+ * A staged block of the wrong size counts as missing. `assembled` is true when
+ * an earlier commit attempt already committed every chunk into the staging blob.
+ */
+async function getSessionProgress(session) {
+    const blocks = await listStagedBlocks(BLOB_CONTAINER_UPLOADS, session.stagingBlobName);
+    if (blocks.length === 0 && await blobExists(BLOB_CONTAINER_UPLOADS, session.stagingBlobName)) {
+        const receivedChunks = Array.from({ length: session.chunkCount }, (_, index) => index);
+        return { receivedChunks, missingChunks: [], receivedBytes: session.size, assembled: true };
+    }
+
+    const staged = new Map(blocks.map(block => [block.name, block.size]));
+    const receivedChunks = [];
+    const missingChunks = [];
+    let receivedBytes = 0;
+    for (let index = 0; index < session.chunkCount; index++) {
+        if (staged.get(blockId(index)) === expectedChunkSize(session, index)) {
+            receivedChunks.push(index);
+            receivedBytes += expectedChunkSize(session, index);
+        } else {
+            missingChunks.push(index);
+        }
+    }
+    return { receivedChunks, missingChunks, receivedBytes, assembled: false };
+}
+
+// Uncommitted blocks cannot be deleted one by one; committing an empty list drops them.
+// A staging blob left committed by a failed commit attempt is deleted as well.
+async function discardStagedBlocks(session) {
+    const staged = await listStagedBlocks(BLOB_CONTAINER_UPLOADS, session.stagingBlobName);
+    if (staged.length > 0) {
+        await commitBlocks(BLOB_CONTAINER_UPLOADS, session.stagingBlobName, []);
+    } else if (!await blobExists(BLOB_CONTAINER_UPLOADS, session.stagingBlobName)) {
+        return;
+    }
+    await deleteBlob(BLOB_CONTAINER_UPLOADS, session.stagingBlobName);
+}
+
+// Open sessions past their expiry, and commits abandoned past it
+async function findExpiredSessions() {
+    return queryItems(CONTAINER_UPLOAD_SESSIONS, {
+        query: `SELECT * FROM c WHERE c.expiresAt < @now AND (c.status = "open" OR
+            (c.status = "committing" AND (NOT IS_DEFINED(c.committingSince) OR c.committingSince < @leaseCutoff)))`,
+        parameters: [
+            { name: '@now', value: new Date().toISOString() },
+            { name: '@leaseCutoff', value: commitLeaseCutoff() }
+        ]
+    });
+}
+
+module.exports = {
+    CONTAINER_UPLOAD_SESSIONS,
+    UPLOAD_SESSION_MAX_BYTES,
+    normalizeSha256,
+    validateSession,
+    createSession,
+    getSession,
+    updateSession,
+    isCommitStale,
+    isExpired,
+    expectedChunkSize,
+    getSessionProgress,
+    discardStagedBlocks,
+    findExpiredSessions
+};
@@ -0,0 +1,236 @@
+/**
+ * Upload Utility
+ * Reads a file from an HTTP request in any of the accepted shapes:
+ * - multipart/form-data with one file part (an optional `fileName` field sent before it wins)
+ * - a raw binary body named by `?fileName=` or the `X-File-Name` header
+ * - the legacy JSON body { fileName, fileData (base64) }
+ * The bytes are streamed, limited to UPLOAD_MAX_SIZE_MB and typed by content
+ * sniffing; rejections are `UploadError`s with `status` 400, 413, 415 or 422.
+ * Stored files are content-addressed, so identical uploads share one blob.
+ * Large files can also arrive in chunks through an upload session (see
+ * uploadSessions.js) and are stored with storeStagedUpload.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const busboy = require('busboy');
+const { SNIFF_BYTES, FILE_TYPES, fileExtension, detectFileType } = require('./fileTypes');
+const {
+    uploadBlobStream,
+    commitBlocks,
+    downloadBlobStream,
+    setBlobContentType,
+    blobExists,
+    copyBlob,
+    deleteBlob,
+    getBlobUrl
+} = require('./blobClient');
+const { contentBlobName } = require('./referenceFiles');
+
+const UPLOAD_MAX_BYTES = parseFloat(process.env.UPLOAD_MAX_SIZE_MB || '100') * 1024 * 1024;
+
+const uploadError = (status, message) => Object.assign(new Error(message), { name: 'UploadError', status });
+
+// Rejections of the upload itself, as opposed to storage or network failures
+const isUploadError = (error) => error?.name === 'UploadError';
+
+const formatSize = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+
+// Blob names and Drive titles keep the client's name, minus any path
+const cleanFileName = (value) => String(value || '').split(/[\\/]/).pop().trim();
+
+const parseMultipart = (request, contentType, maxBytes) => new Promise((resolve, reject) => {
+    const fields = {};
+    let parser;
+    try {
+        parser = busboy({ headers: { 'content-type': contentType }, limits: { files: 1, fileSize: maxBytes } });
+    } catch (error) {
+        reject(uploadError(400, `Invalid multipart body: ${error.message}`));
+        return;
+    }
+    parser.on('field', (name, value) => {
+        fields[name] = value;
+    });
+    parser.on('file', (name, stream, info) => {
+        stream.on('limit', () => stream.destroy(uploadError(413, `File exceeds the maximum upload size of ${formatSize(maxBytes)}`)));
+        resolve({ fileName: fields.fileName || info.filename, stream, fields });
+    });
+    parser.on('error', (error) => reject(uploadError(400, `Invalid multipart body: ${error.message}`)));
+    // Only reached without a file part; after one the promise is already settled
+    parser.on('close', () => reject(uploadError(400, 'Multipart body has no file part')));
+    Readable.fromWeb(request.body).pipe(parser);
+});
+
+/**
+ * { fileName, stream, fields } for the file in a request, before any bytes are read
+ */
+async function readUpload(request, { maxBytes = UPLOAD_MAX_BYTES } = {}) {
+    const contentType = request.headers.get('content-type') || '';
+    const contentLength = parseInt(request.headers.get('content-length') || '0', 10);
+    if (contentLength > maxBytes * 1.4) {
+        // Base64 JSON bodies are a third larger than the file, so only clearly oversized requests stop here
+        throw uploadError(413, `File exceeds the maximum upload size of ${formatSize(maxBytes)}`);
+    }
+
+    let upload;
+    if (contentType.startsWith('multipart/form-data')) {
+        if (!request.body) throw uploadError(400, 'Multipart body is empty');
+        upload = await parseMultipart(request, contentType, maxBytes);
+    } else if (contentType.startsWith('application/json')) {
+        const { fileName, fileData, ...fields } = await request.json();
+        if (!fileName || !fileData) throw uploadError(400, 'fileName and fileData are required');
+        upload = { fileName, stream: [Buffer.from(fileData, 'base64')], fields };
+    } else {
+        const headerName = request.headers.get('x-file-name');
+        const fileName = request.query.get('fileName') || (headerName ? decodeURIComponent(headerName) : '');
+        if (!fileName) throw uploadError(400, 'Name the file with ?fileName= or an X-File-Name header');
+        if (!request.body || (contentLength === 0 && request.headers.has('content-length'))) {
+            throw uploadError(400, 'Request body is empty');
+        }
+        upload = { fileName, stream: Readable.fromWeb(request.body), fields: {} };
+    }
+
+    upload.fileName = cleanFileName(upload.fileName);
+    if (!upload.fileName) throw uploadError(400, 'fileName is required');
+    return upload;
+}
+
+async function* limitSize(stream, maxBytes) {
+    let size = 0;
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > maxBytes) throw uploadError(413, `File exceeds the maximum upload size of ${formatSize(maxBytes)}`);
+        yield Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    }
+}
+
+/**
+ * Read the start of an upload and detect its type. Resolves to
+ * { fileType, chunks } where `chunks` replays the whole file as an async
+ * iterable, enforcing the size limit as it goes.
+ */
+async function inspectUpload(upload, { allowedTypes, maxBytes = UPLOAD_MAX_BYTES }) {
+    const iterator = limitSize(upload.stream, maxBytes)[Symbol.asyncIterator]();
+    const head = [];
+    let headLength = 0;
+    let done = false;
+    while (headLength < SNIFF_BYTES) {
+        const next = await iterator.next();
+        if (next.done) {
+            done = true;
+            break;
+        }
+        head.push(next.value);
+        headLength += next.value.length;
+    }
+
+    const headBuffer = Buffer.concat(head);
+    if (headBuffer.length === 0) throw uploadError(400, 'The uploaded file is empty');
+
+    const fileType = detectFileType(headBuffer, upload.fileName);
+    if (!fileType || !allowedTypes.includes(fileType.type)) {
+        await iterator.return?.();
+        const allowed = allowedTypes.map(type => FILE_TYPES[type].extensions[0]).join(', ');
+        const detected = fileType ? fileType.extension : (fileExtension(upload.fileName) || 'unknown');
+        throw uploadError(415, `Unsupported file type (${detected}${fileType ? '' : ', not recognised from its contents'}); allowed: ${allowed}`);
+    }
+
+    async function* chunks() {
+        yield headBuffer;
+        if (done) return;
+        for (;;) {
+            const next = await iterator.next();
+            if (next.done) return;
+            yield next.value;
+        }
+    }
+
+    return { fileType, chunks: chunks() };
+}
+
+/**
+ * Store an upload under its SHA-256 (see referenceFiles.contentBlobName). The
+ * hash is only known once the stream ends, so the bytes go to a temporary blob
+ * first and are copied into place unless that content is already stored.
+ * Resolves to { blobName, url, size, sha256, duplicate }.
+ */
+async function storeUpload(containerName, chunks, fileType) {
+    const hash = crypto.createHash('sha256');
+    async function* hashed() {
+        for await (const chunk of chunks) {
+            hash.update(chunk);
+            yield chunk;
+        }
+    }
+
+    const tempBlobName = `tmp/${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { size } = await uploadBlobStream(containerName, tempBlobName, hashed(), fileType.mimeType);
+    const sha256 = hash.digest('hex');
+
+    try {
+        return { ...await placeContent(containerName, tempBlobName, sha256, fileType), size };
+    } catch (error) {
+        await deleteBlob(containerName, tempBlobName);
+        throw error;
+    }
+}
+
+// Copy a temporary blob to its content address unless that content is already stored, then drop it.
+// The temporary blob is only removed once the content is in place; on failure the caller decides.
+async function placeContent(containerName, tempBlobName, sha256, fileType) {
+    const blobName = contentBlobName(sha256, fileType.extension);
+
+    const duplicate = await blobExists(containerName, blobName);
+    if (!duplicate) await copyBlob(containerName, tempBlobName, blobName);
+    await deleteBlob(containerName, tempBlobName);
+
+    return { blobName, url: getBlobUrl(containerName, blobName), sha256, duplicate };
+}
+
+/**
+ * Commit the blocks staged by an upload session and store the file like
+ * storeUpload. The committed bytes are read back to detect their type and to
+ * check them against the SHA-256 the client declared; only a file failing
+ * either check (an UploadError) is deleted. After any other failure the
+ * committed staging blob is kept, and a retry passes `blockIds` null to
+ * verify it again. Resolves to { blobName, url, size, sha256, duplicate, fileType }.
+ */
+async function storeStagedUpload(containerName, stagingBlobName, blockIds, { fileName, sha256, allowedTypes, maxBytes = UPLOAD_MAX_BYTES }) {
+    if (blockIds) await commitBlocks(containerName, stagingBlobName, blockIds);
+
+    let fileType;
+    let size = 0;
+    try {
+        const stream = await downloadBlobStream(containerName, stagingBlobName);
+        const inspected = await inspectUpload({ fileName, stream }, { allowedTypes, maxBytes });
+        fileType = inspected.fileType;
+
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of inspected.chunks) {
+            hash.update(chunk);
+            size += chunk.length;
+        }
+        const actual = hash.digest('hex');
+        if (actual !== sha256) {
+            throw uploadError(422, `Checksum mismatch: the uploaded file hashes to ${actual}, expected ${sha256}`);
+        }
+
+        await setBlobContentType(containerName, stagingBlobName, fileType.mimeType);
+    } catch (error) {
+        if (isUploadError(error)) await deleteBlob(containerName, stagingBlobName);
+        throw error;
+    }
+
+    return { ...await placeContent(containerName, stagingBlobName, sha256, fileType), size, fileType };
+}
+
+module.exports = {
+    UPLOAD_MAX_BYTES,
+    uploadError,
+    isUploadError,
+    cleanFileName,
+    readUpload,
+    inspectUpload,
+    storeUpload,
+    storeStagedUpload
+};
@@ -5,6 +5,8 @@
 
 const { app } = require('@azure/functions');
 const { getItem, upsertItem, queryItems } = require('../../shared/cosmosClient');
+const { ACTIVE_REFERENCE_CONDITION } = require('../../shared/referenceQuery');
+const { resolveCollectionScope } = require('../../shared/collections');
 
 const CONTAINER_NAME = process.env.COSMOSDB_CONTAINER_ANALYTICS || 'analytics';
 const REFERENCES_CONTAINER = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
@@ -33,7 +35,7 @@ const toLandscapeReference = (ref) => ({
 });
 
 const buildLandscapeSnapshot = async (context) => {
-    const query = 'SELECT * FROM c WHERE NOT IS_DEFINED(c.dismissed) OR c.dismissed != true';
+    const query = `SELECT * FROM c WHERE ${ACTIVE_REFERENCE_CONDITION}`;
     const references = await queryItems(REFERENCES_CONTAINER, { query });
     const snapshot = {
         id: LANDSCAPE_DOC_ID,
@@ -48,7 +50,24 @@ const buildLandscapeSnapshot = async (context) => {
     return snapshot;
 };
 
+// Landscape of one collection (and optionally its subcollections), built on request and not cached
+const buildCollectionLandscape = async (collectionId, collectionIds) => {
+    const references = await queryItems(REFERENCES_CONTAINER, {
+        query: `SELECT * FROM c WHERE ${ACTIVE_REFERENCE_CONDITION} AND EXISTS(SELECT VALUE x FROM x IN c.collections WHERE ARRAY_CONTAINS(@collections, x))`,
+        parameters: [{ name: '@collections', value: collectionIds }]
+    });
+    return {
+        type: 'landscape',
+        collectionId,
+        collectionIds,
+        dateGenerated: new Date().toISOString(),
+        referenceCount: references.length,
+        references: references.map(toLandscapeReference)
+    };
+};
+
 // GET /api/analytics/landscape - Get cached landscape snapshot (refresh daily or manually)
+// ?collection=<id>&recursive=true returns a live landscape of that collection instead
 app.http('GetAnalyticsLandscape', {
     methods: ['GET'],
     authLevel: 'anonymous',
@@ -58,6 +77,23 @@ app.http('GetAnalyticsLandscape', {
             const url = new URL(request.url);
             const refreshParam = url.searchParams.get('refresh');
             const forceRefresh = refreshParam === 'true' || refreshParam === '1';
+            const collection = url.searchParams.get('collection');
+
+            if (collection) {
+                const collectionIds = await resolveCollectionScope(collection, { recursive: url.searchParams.get('recursive') === 'true' });
+                if (!collectionIds) {
+                    return {
+                        status: 404,
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ error: 'Collection not found' })
+                    };
+                }
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(await buildCollectionLandscape(collection, collectionIds))
+                };
+            }
 
             let snapshot = await getItem(CONTAINER_NAME, LANDSCAPE_DOC_ID, LANDSCAPE_DOC_ID);
 
@@ -1,9 +1,16 @@
 const { app } = require('@azure/functions');
+const crypto = require('crypto');
 const { downloadBlob } = require('../../shared/blobClient');
-const { extractTextFromBuffer } = require('../../shared/textExtractor');
+const { getItem, upsertItem } = require('../../shared/cosmosClient');
+const { extractTextFromBuffer, detectTextType, getTextTypes } = require('../../shared/textExtractor');
 const OpenAI = require('openai');
 
+// Results are cached per file content (SHA-256), section and model
+const ANALYSIS_CACHE_CONTAINER = process.env.COSMOSDB_CONTAINER_ANALYTICS || 'analytics';
+const ANALYSIS_SECTIONS = ['summary', 'theory', 'method'];
+
 // POST /api/references/analyze - Analyze a document with OpenAI
+// Identical file content reuses an earlier result for the same section and model unless `refresh: true`
 app.http('AnalyzeReference', {
     methods: ['POST'],
     authLevel: 'anonymous',
@@ -11,7 +18,7 @@ app.http('AnalyzeReference', {
     handler: async (request, context) => {
         try {
             const body = await request.json();
-            const { blobName, fileName, section } = body;
+            const { blobName, fileName, section, refresh } = body;
             
             context.log(`[Analyze] Request received: section=${section}, blobName=${blobName}, fileName=${fileName}`);
             
@@ -59,14 +66,37 @@ app.http('AnalyzeReference', {
                 };
             }
             
-            // Determine file type
-            const name = fileName || blobName;
-            const extension = name.split('.').pop().toLowerCase();
-            let fileType = 'unknown';
-            if (extension === 'pdf') fileType = 'pdf';
-            else if (extension === 'docx') fileType = 'docx';
-            
-            context.log(`[Analyze] File type detected: ${fileType}`);
+            const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+            const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+            const cacheId = `analysis_${sha256}_${section}`;
+            if (!refresh && ANALYSIS_SECTIONS.includes(section)) {
+                const cached = await getItem(ANALYSIS_CACHE_CONTAINER, cacheId, cacheId);
+                if (cached?.model === model) {
+                    context.log(`[Analyze] Reusing ${section} analysis of identical content ${sha256}`);
+                    return {
+                        status: 200,
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            success: true,
+                            section: section,
+                            content: cached.content,
+                            sha256: sha256,
+                            cached: true
+                        })
+                    };
+                }
+            }
+
+            // Determine file type from the content, using the name only to tell text formats apart
+            const fileType = detectTextType(buffer, fileName || blobName);
+            context.log(`[Analyze] File type detected: ${fileType || 'unknown'}`);
+            if (!fileType) {
+                return {
+                    status: 415,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `Unsupported file type for analysis; supported: ${getTextTypes().join(', ')}` })
+                };
+            }
             
             // Extract text from document
             let text;
@@ -130,7 +160,6 @@ ${text.substring(0, 15000)}`
             // Call OpenAI
             context.log('[Analyze] Calling OpenAI...');
             const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-            const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
             
             const completion = await openai.chat.completions.create({
                 model: model,
@@ -144,6 +173,18 @@ ${text.substring(0, 15000)}`
             });
             
             const result = completion.choices[0]?.message?.content || '';
+
+            if (result) {
+                await upsertItem(ANALYSIS_CACHE_CONTAINER, {
+                    id: cacheId,
+                    type: 'document-analysis',
+                    sha256: sha256,
+                    section: section,
+                    model: model,
+                    content: result,
+                    dateCreated: new Date().toISOString()
+                });
+            }
             
             context.log(`Analyzed document for section: ${section}`);
             
@@ -153,7 +194,9 @@ ${text.substring(0, 15000)}`
                 body: JSON.stringify({
                     success: true,
                     section: section,
-                    content: result
+                    content: result,
+                    sha256: sha256,
+                    cached: false
                 })
             };
         } catch (error) {
@@ -0,0 +1,394 @@
+/**
+ * Annotation Azure Functions
+ * Reading status, structured notes and page-anchored highlights for references.
+ * Stored in their own container (see shared/annotations.js); highlights point
+ * at the page records created by KBSplitPDF.
+ */
+
+const { app } = require('@azure/functions');
+const { queryItems, getItem, createItem, upsertItem, deleteItem } = require('../../shared/cosmosClient');
+const {
+    CONTAINER_ANNOTATIONS,
+    READING_STATUSES,
+    ANNOTATION_TYPES,
+    validateAnnotation,
+    anchorHighlight,
+    getReadingStatus,
+    setReadingStatus,
+    listAnnotations
+} = require('../../shared/annotations');
+const { getPageText } = require('../../shared/kbIndex');
+const { sasExpiry, withSignedPage } = require('../../shared/signedUrls');
+
+const REFERENCES_CONTAINER = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
+const PAGES_CONTAINER = process.env.COSMOSDB_CONTAINER_PAGES || 'pages';
+
+// Page fields returned alongside annotations
+const PAGE_SUMMARY_FIELDS = 'c.id, c.pageNumber, c.totalPages, c.blobUrl, c.blobName, c.variants, c.ocrStatus';
+
+const isActiveReference = (reference) => reference && !reference.dismissed && !reference.deleted && !reference.mergedInto;
+
+const notFound = (message) => ({
+    status: 404,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error: message })
+});
+
+const badRequest = (message) => ({
+    status: 400,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error: message })
+});
+
+const loadPage = async (referenceId, pageNumber) => {
+    const [page] = await queryItems(PAGES_CONTAINER, {
+        query: 'SELECT * FROM c WHERE c.referenceId = @referenceId AND c.pageNumber = @pageNumber',
+        parameters: [
+            { name: '@referenceId', value: referenceId },
+            { name: '@pageNumber', value: pageNumber }
+        ]
+    });
+    return page || null;
+};
+
+// Highlights must sit on a split page and inside its text
+const anchorToPage = async (referenceId, fields) => {
+    if (fields.type !== 'highlight') return fields;
+    const page = await loadPage(referenceId, fields.pageNumber);
+    if (!page) {
+        throw Object.assign(new Error(`Page ${fields.pageNumber} has not been split for this reference`), { status: 400 });
+    }
+    return { ...anchorHighlight(fields, getPageText(page)), pageId: page.id };
+};
+
+// GET /api/references/{id}/annotations - Reading status, notes and highlights with their pages
+// ?type=note|highlight
+app.http('GetReferenceAnnotations', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/annotations',
+    handler: async (request, context) => {
+        try {
+            const referenceId = request.params.id;
+            const type = request.query.get('type');
+            if (type && !ANNOTATION_TYPES.includes(type)) {
+                return badRequest(`type must be one of: ${ANNOTATION_TYPES.join(', ')}`);
+            }
+
+            const reference = await getItem(REFERENCES_CONTAINER, referenceId, referenceId);
+            if (!isActiveReference(reference)) return notFound('Reference not found');
+
+            const [readingStatus, annotations, pages] = await Promise.all([
+                getReadingStatus(referenceId),
+                listAnnotations(referenceId, { type }),
+                queryItems(PAGES_CONTAINER, {
+                    query: `SELECT ${PAGE_SUMMARY_FIELDS} FROM c WHERE c.referenceId = @referenceId`,
+                    parameters: [{ name: '@referenceId', value: referenceId }]
+                })
+            ]);
+
+            const expiresOn = sasExpiry();
+            const annotatedPages = new Set(annotations.map(annotation => annotation.pageNumber));
+            const signedPages = await Promise.all(pages
+                .filter(page => annotatedPages.has(page.pageNumber))
+                .map(page => withSignedPage(page, expiresOn)));
+            const pagesByNumber = new Map(signedPages.map(page => [page.pageNumber, page]));
+
+            // Pages removed by a re-split leave their annotations without a page
+            const joined = annotations.map(annotation => ({
+                ...annotation,
+                page: annotation.pageNumber ? pagesByNumber.get(annotation.pageNumber) || null : null
+            }));
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    referenceId,
+                    readingStatus: readingStatus?.status || null,
+                    readingHistory: readingStatus?.history || [],
+                    totalPages: pages.length,
+                    counts: {
+                        notes: annotations.filter(annotation => annotation.type === 'note').length,
+                        highlights: annotations.filter(annotation => annotation.type === 'highlight').length
+                    },
+                    annotations: joined
+                })
+            };
+        } catch (error) {
+            context.error('Get Reference Annotations Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load annotations', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/{id}/annotations - Add a note or highlight
+// Note: { type: 'note', body, title?, category?, pageNumber?, tags? }
+// Highlight: { type: 'highlight', pageNumber, start, end, text?, comment?, color?, tags? }
+app.http('CreateAnnotation', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/annotations',
+    handler: async (request, context) => {
+        try {
+            const referenceId = request.params.id;
+            const reference = await getItem(REFERENCES_CONTAINER, referenceId, referenceId);
+            if (!isActiveReference(reference)) return notFound('Reference not found');
+
+            let fields;
+            try {
+                fields = await anchorToPage(referenceId, validateAnnotation(await request.json()));
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return badRequest(validationError.message);
+            }
+
+            const now = new Date().toISOString();
+            const annotation = await createItem(CONTAINER_ANNOTATIONS, {
+                id: `ann_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                referenceId,
+                ...fields,
+                dateCreated: now,
+                dateModified: now
+            });
+
+            context.log(`Created ${annotation.type} ${annotation.id} on reference ${referenceId}`);
+
+            return {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(annotation)
+            };
+        } catch (error) {
+            context.error('Create Annotation Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to create annotation', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/references/{id}/reading-status - Current reading status and its history
+app.http('GetReadingStatus', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/reading-status',
+    handler: async (request, context) => {
+        try {
+            const referenceId = request.params.id;
+            const status = await getReadingStatus(referenceId);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    referenceId,
+                    status: status?.status || null,
+                    history: status?.history || [],
+                    dateModified: status?.dateModified || null
+                })
+            };
+        } catch (error) {
+            context.error('Get Reading Status Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load reading status', details: error.message })
+            };
+        }
+    }
+});
+
+// PUT /api/references/{id}/reading-status - Set the reading status { status: 'to-read'|'reading'|'read'|'cited' }
+app.http('SetReadingStatus', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/reading-status',
+    handler: async (request, context) => {
+        try {
+            const referenceId = request.params.id;
+            const { status } = await request.json();
+            if (!READING_STATUSES.includes(status)) {
+                return badRequest(`status must be one of: ${READING_STATUSES.join(', ')}`);
+            }
+
+            const reference = await getItem(REFERENCES_CONTAINER, referenceId, referenceId);
+            if (!isActiveReference(reference)) return notFound('Reference not found');
+
+            const saved = await setReadingStatus(referenceId, status, await getReadingStatus(referenceId));
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    referenceId,
+                    status: saved.status,
+                    history: saved.history,
+                    dateModified: saved.dateModified
+                })
+            };
+        } catch (error) {
+            context.error('Set Reading Status Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to save reading status', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/reading-list - References by reading status (?status=to-read,reading)
+app.http('GetReadingList', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'reading-list',
+    handler: async (request, context) => {
+        try {
+            const statusParam = request.query.get('status');
+            const statuses = statusParam ? statusParam.split(',').map(status => status.trim()).filter(Boolean) : READING_STATUSES;
+            const unknown = statuses.filter(status => !READING_STATUSES.includes(status));
+            if (unknown.length > 0) {
+                return badRequest(`status must be one of: ${READING_STATUSES.join(', ')}`);
+            }
+
+            const records = await queryItems(CONTAINER_ANNOTATIONS, {
+                query: 'SELECT * FROM c WHERE c.type = "reading-status" AND ARRAY_CONTAINS(@statuses, c.status) ORDER BY c.dateModified DESC',
+                parameters: [{ name: '@statuses', value: statuses }]
+            });
+
+            const references = records.length === 0 ? [] : await queryItems(REFERENCES_CONTAINER, {
+                query: 'SELECT c.id, c.title, c.authors, c.year, c.source, c.deleted, c.mergedInto FROM c WHERE ARRAY_CONTAINS(@ids, c.id)',
+                parameters: [{ name: '@ids', value: records.map(record => record.referenceId) }]
+            });
+            const byId = new Map(references.filter(isActiveReference).map(ref => [ref.id, ref]));
+
+            const items = records
+                .filter(record => byId.has(record.referenceId))
+                .map(record => {
+                    const { deleted, mergedInto, ...reference } = byId.get(record.referenceId);
+                    return { reference, status: record.status, dateModified: record.dateModified };
+                });
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(items)
+            };
+        } catch (error) {
+            context.error('Get Reading List Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load reading list', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/annotations/{annotationId} - Get a note or highlight
+app.http('GetAnnotation', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'annotations/{annotationId}',
+    handler: async (request, context) => {
+        try {
+            const annotationId = request.params.annotationId;
+            const annotation = await getItem(CONTAINER_ANNOTATIONS, annotationId, annotationId);
+            if (!annotation || !ANNOTATION_TYPES.includes(annotation.type)) return notFound('Annotation not found');
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(annotation)
+            };
+        } catch (error) {
+            context.error('Get Annotation Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load annotation', details: error.message })
+            };
+        }
+    }
+});
+
+// PUT /api/annotations/{annotationId} - Update a note or highlight (omitted fields are kept)
+app.http('UpdateAnnotation', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'annotations/{annotationId}',
+    handler: async (request, context) => {
+        try {
+            const annotationId = request.params.annotationId;
+            const existing = await getItem(CONTAINER_ANNOTATIONS, annotationId, annotationId);
+            if (!existing || !ANNOTATION_TYPES.includes(existing.type)) return notFound('Annotation not found');
+
+            let fields;
+            try {
+                const { id, referenceId, ...changes } = await request.json();
+                // A moved span is checked against the page again (which also settles a stale anchor)
+                const moved = ['pageNumber', 'start', 'end'].some(field => field in changes);
+                const validated = validateAnnotation(moved ? { ...changes, text: changes.text ?? null } : changes, existing);
+                fields = moved ? { ...await anchorToPage(existing.referenceId, validated), anchorStale: false } : validated;
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return badRequest(validationError.message);
+            }
+
+            const updated = await upsertItem(CONTAINER_ANNOTATIONS, {
+                ...existing,
+                ...fields,
+                dateModified: new Date().toISOString()
+            });
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(updated)
+            };
+        } catch (error) {
+            context.error('Update Annotation Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to update annotation', details: error.message })
+            };
+        }
+    }
+});
+
+// DELETE /api/annotations/{annotationId} - Delete a note or highlight
+app.http('DeleteAnnotation', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'annotations/{annotationId}',
+    handler: async (request, context) => {
+        try {
+            const annotationId = request.params.annotationId;
+            const existing = await getItem(CONTAINER_ANNOTATIONS, annotationId, annotationId);
+            if (!existing || !ANNOTATION_TYPES.includes(existing.type)) return notFound('Annotation not found');
+
+            await deleteItem(CONTAINER_ANNOTATIONS, annotationId, annotationId);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, id: annotationId })
+            };
+        } catch (error) {
+            context.error('Delete Annotation Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to delete annotation', details: error.message })
+            };
+        }
+    }
+});
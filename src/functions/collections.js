@@ -0,0 +1,464 @@
+/**
+ * Collection Azure Functions
+ * Nested collections of references: create, rename, move, delete, bulk
+ * membership changes and fetching a collection with its references.
+ */
+
+const { app } = require('@azure/functions');
+const { queryItems, getItem, createItem, upsertItem, deleteItem, replaceItem, isPreconditionFailed } = require('../../shared/cosmosClient');
+const {
+    CONTAINER_COLLECTIONS,
+    listCollections,
+    descendantIds,
+    collectionPath,
+    buildCollectionTree
+} = require('../../shared/collections');
+const { ACTIVE_REFERENCE_CONDITION, buildReferenceQuery } = require('../../shared/referenceQuery');
+const { sasExpiry, withSignedFiles } = require('../../shared/signedUrls');
+const { recordRevision } = require('../../shared/referenceRevisions');
+
+const REFERENCES_CONTAINER = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
+const MAX_NAME_LENGTH = 200;
+const MAX_BULK_REFERENCES = 500;
+const MEMBERSHIP_WRITE_ATTEMPTS = 3;
+
+const normalizeName = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Apply `change` to a reference's collection ids and save it only over the version that was
+ * read (If-Match), recording the revision. A concurrent edit makes it re-read the reference and
+ * apply the change again. Resolves to the saved reference, or null when it was deleted meanwhile.
+ */
+const updateReferenceCollections = async (reference, change) => {
+    let current = reference;
+    for (let attempt = 1; ; attempt++) {
+        const updated = {
+            ...current,
+            collections: change(Array.isArray(current.collections) ? current.collections : []),
+            dateModified: new Date().toISOString()
+        };
+        try {
+            const saved = await replaceItem(REFERENCES_CONTAINER, current.id, current.id, updated, { ifMatch: current._etag });
+            await recordRevision(current.id, current, saved, 'manual');
+            return saved;
+        } catch (error) {
+            if (!isPreconditionFailed(error) || attempt >= MEMBERSHIP_WRITE_ATTEMPTS) throw error;
+            current = await getItem(REFERENCES_CONTAINER, current.id, current.id);
+            if (!current) return null;
+        }
+    }
+};
+
+// Sibling collections may not share a name (case-insensitive)
+const hasSiblingNamed = (collections, parentId, name, exceptId) => collections.some(collection =>
+    collection.id !== exceptId &&
+    (collection.parentId || null) === (parentId || null) &&
+    collection.name.toLowerCase() === name.toLowerCase()
+);
+
+// Direct member counts per collection id
+const countReferences = async () => {
+    const rows = await queryItems(REFERENCES_CONTAINER, {
+        query: `SELECT c.collections FROM c WHERE ${ACTIVE_REFERENCE_CONDITION} AND IS_ARRAY(c.collections)`
+    });
+    const counts = {};
+    rows.forEach(row => row.collections.forEach(id => {
+        counts[id] = (counts[id] || 0) + 1;
+    }));
+    return counts;
+};
+
+// GET /api/collections - Collection tree with direct reference counts (?flat=true for a flat list with paths)
+app.http('GetCollections', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'collections',
+    handler: async (request, context) => {
+        try {
+            const [collections, counts] = await Promise.all([listCollections(), countReferences()]);
+
+            if (request.query.get('flat') === 'true') {
+                const flat = collections
+                    .map(collection => ({
+                        ...collection,
+                        path: collectionPath(collections, collection.id),
+                        referenceCount: counts[collection.id] || 0
+                    }))
+                    .sort((a, b) => a.path.join('/').localeCompare(b.path.join('/')));
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(flat)
+                };
+            }
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildCollectionTree(collections, counts))
+            };
+        } catch (error) {
+            context.error('Get Collections Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load collections', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/collections - Create a collection { name, parentId?, description? }
+app.http('CreateCollection', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'collections',
+    handler: async (request, context) => {
+        try {
+            const body = await request.json();
+            const name = normalizeName(body.name);
+            const parentId = body.parentId || null;
+
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `name is required (at most ${MAX_NAME_LENGTH} characters)` })
+                };
+            }
+
+            const collections = await listCollections();
+            if (parentId && !collections.some(collection => collection.id === parentId)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Parent collection not found' })
+                };
+            }
+            if (hasSiblingNamed(collections, parentId, name)) {
+                return {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `A collection named "${name}" already exists here` })
+                };
+            }
+
+            const now = new Date().toISOString();
+            const created = await createItem(CONTAINER_COLLECTIONS, {
+                id: `col_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                type: 'collection',
+                name,
+                parentId,
+                description: typeof body.description === 'string' ? body.description.trim() : '',
+                dateCreated: now,
+                dateModified: now
+            });
+
+            context.log(`Created collection: ${created.id}`);
+
+            return {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(created)
+            };
+        } catch (error) {
+            context.error('Create Collection Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to create collection', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/collections/{id} - A collection with its path, subcollections and references
+// ?recursive=true includes references of subcollections; sort/order as for GET /api/references
+app.http('GetCollection', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'collections/{id}',
+    handler: async (request, context) => {
+        try {
+            const id = request.params.id;
+            const collections = await listCollections();
+            const collection = collections.find(item => item.id === id);
+            if (!collection) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Collection not found' })
+                };
+            }
+
+            const recursive = request.query.get('recursive') === 'true';
+            let querySpec;
+            try {
+                querySpec = buildReferenceQuery({
+                    collection: recursive ? descendantIds(collections, id) : [id],
+                    sort: request.query.get('sort') || undefined,
+                    order: request.query.get('order') || undefined
+                });
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: validationError.message })
+                };
+            }
+            const expiresOn = sasExpiry();
+            const references = await Promise.all((await queryItems(REFERENCES_CONTAINER, querySpec))
+                .map(ref => withSignedFiles(ref, expiresOn)));
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...collection,
+                    path: collectionPath(collections, id),
+                    children: collections
+                        .filter(item => item.parentId === id)
+                        .sort((a, b) => a.name.localeCompare(b.name)),
+                    recursive,
+                    referenceCount: references.length,
+                    references
+                })
+            };
+        } catch (error) {
+            context.error('Get Collection Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load collection', details: error.message })
+            };
+        }
+    }
+});
+
+// PUT /api/collections/{id} - Rename or move a collection { name?, description?, parentId? (null = top level) }
+app.http('UpdateCollection', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'collections/{id}',
+    handler: async (request, context) => {
+        try {
+            const id = request.params.id;
+            const body = await request.json();
+
+            const collections = await listCollections();
+            const existing = collections.find(item => item.id === id);
+            if (!existing) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Collection not found' })
+                };
+            }
+
+            const name = body.name === undefined ? existing.name : normalizeName(body.name);
+            const parentId = body.parentId === undefined ? (existing.parentId || null) : (body.parentId || null);
+
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `name must be a non-empty string (at most ${MAX_NAME_LENGTH} characters)` })
+                };
+            }
+            if (parentId && !collections.some(collection => collection.id === parentId)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Parent collection not found' })
+                };
+            }
+            // A collection cannot move into itself or one of its own subcollections
+            if (parentId && descendantIds(collections, id).includes(parentId)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'A collection cannot be moved inside itself' })
+                };
+            }
+            if (hasSiblingNamed(collections, parentId, name, id)) {
+                return {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `A collection named "${name}" already exists here` })
+                };
+            }
+
+            const updated = await upsertItem(CONTAINER_COLLECTIONS, {
+                ...existing,
+                name,
+                parentId,
+                description: typeof body.description === 'string' ? body.description.trim() : existing.description,
+                dateModified: new Date().toISOString()
+            });
+
+            context.log(`Updated collection: ${id}`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(updated)
+            };
+        } catch (error) {
+            context.error('Update Collection Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to update collection', details: error.message })
+            };
+        }
+    }
+});
+
+// DELETE /api/collections/{id} - Delete a collection; subcollections move up to its parent
+// and its references stay in the library
+app.http('DeleteCollection', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'collections/{id}',
+    handler: async (request, context) => {
+        try {
+            const id = request.params.id;
+
+            const collections = await listCollections();
+            const existing = collections.find(item => item.id === id);
+            if (!existing) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Collection not found' })
+                };
+            }
+
+            const children = collections.filter(collection => collection.parentId === id);
+            for (const child of children) {
+                await upsertItem(CONTAINER_COLLECTIONS, {
+                    ...child,
+                    parentId: existing.parentId || null,
+                    dateModified: new Date().toISOString()
+                });
+            }
+
+            const members = await queryItems(REFERENCES_CONTAINER, {
+                query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(c.collections, @id)',
+                parameters: [{ name: '@id', value: id }]
+            });
+            // The collection is only deleted once no reference points at it; a failure here can be retried
+            for (const reference of members) {
+                await updateReferenceCollections(reference, collections => collections.filter(collectionId => collectionId !== id));
+            }
+
+            await deleteItem(CONTAINER_COLLECTIONS, id, id);
+
+            context.log(`Deleted collection: ${id}`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, movedCollections: children.length, unassignedReferences: members.length })
+            };
+        } catch (error) {
+            context.error('Delete Collection Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to delete collection', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/collections/{id}/references - Add and remove references in bulk { add: [ids], remove: [ids] }
+app.http('UpdateCollectionReferences', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'collections/{id}/references',
+    handler: async (request, context) => {
+        try {
+            const id = request.params.id;
+            const body = await request.json();
+            const add = Array.isArray(body.add) ? body.add : [];
+            const remove = Array.isArray(body.remove) ? body.remove : [];
+
+            if (add.length + remove.length === 0 || add.length + remove.length > MAX_BULK_REFERENCES) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `Provide between 1 and ${MAX_BULK_REFERENCES} reference ids in add and/or remove` })
+                };
+            }
+
+            const collection = await getItem(CONTAINER_COLLECTIONS, id, id);
+            if (!collection) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Collection not found' })
+                };
+            }
+
+            const results = [];
+            const changes = [
+                ...add.map(referenceId => ({ referenceId, action: 'add' })),
+                ...remove.map(referenceId => ({ referenceId, action: 'remove' }))
+            ];
+            for (const { referenceId, action } of changes) {
+                try {
+                    const reference = await getItem(REFERENCES_CONTAINER, referenceId, referenceId);
+                    if (!reference || reference.mergedInto || reference.dismissed === true) {
+                        results.push({ id: referenceId, action, status: 'not-found' });
+                        continue;
+                    }
+
+                    const change = (collections) => (action === 'add'
+                        ? Array.from(new Set([...collections, id]))
+                        : collections.filter(collectionId => collectionId !== id));
+                    const current = Array.isArray(reference.collections) ? reference.collections : [];
+                    if (change(current).length === current.length) {
+                        results.push({ id: referenceId, action, status: 'unchanged' });
+                        continue;
+                    }
+
+                    const saved = await updateReferenceCollections(reference, change);
+                    if (!saved) {
+                        results.push({ id: referenceId, action, status: 'not-found' });
+                        continue;
+                    }
+                    results.push({ id: referenceId, action, status: action === 'add' ? 'added' : 'removed' });
+                } catch (itemError) {
+                    if (isPreconditionFailed(itemError)) {
+                        results.push({ id: referenceId, action, status: 'conflict', error: 'Reference kept changing during the update' });
+                        continue;
+                    }
+                    context.error(`Collection update failed for ${referenceId}:`, itemError.message);
+                    results.push({ id: referenceId, action, status: 'error', error: itemError.message });
+                }
+            }
+
+            const summary = {};
+            results.forEach(result => {
+                summary[result.status] = (summary[result.status] || 0) + 1;
+            });
+
+            context.log(`Updated references of collection ${id}: ${JSON.stringify(summary)}`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, summary, results })
+            };
+        } catch (error) {
+            context.error('Update Collection References Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to update collection references', details: error.message })
+            };
+        }
+    }
+});
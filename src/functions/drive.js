@@ -1,5 +1,10 @@
 const { app } = require('@azure/functions');
+const { Readable } = require('stream');
 const { getDriveClient } = require('../../shared/googleAuth');
+const { isUploadError, readUpload, inspectUpload } = require('../../shared/uploads');
+const { parseFileTypeList } = require('../../shared/fileTypes');
+
+const DRIVE_UPLOAD_ALLOWED_TYPES = parseFileTypeList(process.env.DRIVE_UPLOAD_ALLOWED_TYPES || 'pdf,docx,pptx,xlsx,odt,epub,rtf,csv,txt,markdown,html,png,jpeg,gif');
 
 // GET /api/drive/files - List files in a folder
 app.http('GetDriveFiles', {
@@ -110,6 +115,7 @@ app.http('GetDriveFile', {
 });
 
 // POST /api/drive/upload - Upload a file to Drive
+// Accepts multipart/form-data, a raw binary body (?fileName= or X-File-Name) or JSON { fileName, fileData (base64) }
 app.http('UploadToDrive', {
     methods: ['POST'],
     authLevel: 'anonymous',
@@ -125,41 +131,47 @@ app.http('UploadToDrive', {
                 };
             }
 
-            const body = await request.json();
-            const { fileName, fileData, mimeType } = body;
-            
-            if (!fileName || !fileData) {
+            let response;
+            let streamError = null;
+            try {
+                const upload = await readUpload(request);
+                const { fileType, chunks } = await inspectUpload(upload, { allowedTypes: DRIVE_UPLOAD_ALLOWED_TYPES });
+
+                // googleapis wraps errors thrown by the request body, so keep the original (e.g. the 413)
+                async function* body() {
+                    try {
+                        yield* chunks;
+                    } catch (error) {
+                        streamError = error;
+                        throw error;
+                    }
+                }
+
+                const drive = await getDriveClient();
+
+                context.log(`Uploading file: ${upload.fileName} (${fileType.type}) to folder ${folderId}`);
+
+                response = await drive.files.create({
+                    requestBody: {
+                        name: upload.fileName,
+                        parents: [folderId]
+                    },
+                    media: {
+                        mimeType: fileType.mimeType,
+                        body: Readable.from(body())
+                    },
+                    fields: 'id, name, webViewLink, webContentLink'
+                });
+            } catch (error) {
+                const uploadError = [error, error?.cause, streamError].find(isUploadError);
+                if (!uploadError) throw error;
                 return {
-                    status: 400,
+                    status: uploadError.status,
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ error: 'fileName and fileData are required' })
+                    body: JSON.stringify({ error: uploadError.message })
                 };
             }
 
-            const drive = await getDriveClient();
-            
-            // Decode base64 file data
-            const buffer = Buffer.from(fileData, 'base64');
-            
-            context.log(`Uploading file: ${fileName} to folder ${folderId}`);
-            
-            const { Readable } = require('stream');
-            const readable = new Readable();
-            readable.push(buffer);
-            readable.push(null);
-            
-            const response = await drive.files.create({
-                requestBody: {
-                    name: fileName,
-                    parents: [folderId]
-                },
-                media: {
-                    mimeType: mimeType || 'application/octet-stream',
-                    body: readable
-                },
-                fields: 'id, name, webViewLink, webContentLink'
-            });
-            
             context.log(`Uploaded file: ${response.data.id}`);
             
             return {
@@ -0,0 +1,130 @@
+const { app } = require('@azure/functions');
+const { queryItems } = require('../../shared/cosmosClient');
+const {
+    CONTAINER_JOBS,
+    JOB_QUEUE_NAME,
+    jobQueueOutput,
+    getJob,
+    runJobBatch,
+    findStaleJobs,
+    requeueJob
+} = require('../../shared/jobs');
+
+const JOB_STALE_MINUTES = parseInt(process.env.JOB_STALE_MINUTES || '15', 10);
+const JOB_QUEUED_STALE_HOURS = parseFloat(process.env.JOB_QUEUED_STALE_HOURS || '24');
+
+// Queue trigger - process one batch of a job, re-queueing it until it is done.
+// A failed batch throws, and the queue retries the message after host.json's visibilityTimeout.
+app.storageQueue('JobWorker', {
+    queueName: JOB_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage',
+    extraOutputs: [jobQueueOutput],
+    handler: async (message, context) => {
+        const jobId = message?.jobId;
+        if (!jobId) {
+            context.warn('[Jobs] Queue message without jobId:', message);
+            return;
+        }
+
+        const next = await runJobBatch(message, context);
+        if (next) {
+            context.extraOutputs.set(jobQueueOutput, next);
+        }
+    }
+});
+
+// Timer trigger (every 5 minutes) - resume jobs whose worker died mid-batch or whose message was lost
+app.timer('JobWatchdog', {
+    schedule: '0 */5 * * * *',
+    extraOutputs: [jobQueueOutput],
+    handler: async (timer, context) => {
+        const staleJobs = await findStaleJobs(JOB_STALE_MINUTES, JOB_QUEUED_STALE_HOURS * 60);
+        if (staleJobs.length === 0) return;
+
+        const messages = [];
+        for (const job of staleJobs) {
+            const message = await requeueJob(job);
+            if (message) messages.push(message);
+        }
+        if (messages.length === 0) return;
+
+        context.log(`[Jobs] Re-queueing ${messages.length} stale jobs`);
+        context.extraOutputs.set(jobQueueOutput, messages);
+    }
+});
+
+// GET /api/jobs - List recent jobs (optional ?type=&status=&limit=)
+app.http('GetJobs', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'jobs',
+    handler: async (request, context) => {
+        try {
+            const type = request.query.get('type');
+            const status = request.query.get('status');
+            const limit = Math.min(parseInt(request.query.get('limit') || '20', 10) || 20, 100);
+
+            const conditions = [];
+            const parameters = [{ name: '@limit', value: limit }];
+            if (type) {
+                conditions.push('c.type = @type');
+                parameters.push({ name: '@type', value: type });
+            }
+            if (status) {
+                conditions.push('c.status = @status');
+                parameters.push({ name: '@status', value: status });
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const jobs = await queryItems(CONTAINER_JOBS, {
+                query: `SELECT * FROM c ${where} ORDER BY c.createdAt DESC OFFSET 0 LIMIT @limit`,
+                parameters
+            });
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(jobs)
+            };
+        } catch (error) {
+            context.error('Get Jobs Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load jobs', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/jobs/{id} - Get job status, progress and per-item errors
+app.http('GetJob', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'jobs/{id}',
+    handler: async (request, context) => {
+        try {
+            const job = await getJob(request.params.id);
+            if (!job) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Job not found' })
+                };
+            }
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(job)
+            };
+        } catch (error) {
+            context.error('Get Job Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load job', details: error.message })
+            };
+        }
+    }
+});
@@ -1,25 +1,802 @@
 const { app } = require('@azure/functions');
 const { downloadBlob, uploadBlob } = require('../../shared/blobClient');
-const { getItem, upsertItem, createItem } = require('../../shared/cosmosClient');
+const { getItem, upsertItem, queryItems } = require('../../shared/cosmosClient');
+const { OCR_STATUS, getOcrProvider } = require('../../shared/ocrProvider');
+const { getEmbeddingProvider } = require('../../shared/embeddingProvider');
+const { getPageText, indexPage, paginateText } = require('../../shared/kbIndex');
+const { deleteReferencePages, resetKnowledgeStatus } = require('../../shared/kbPages');
+const { findPdfFile, resolveFileBlobName, fileSha256 } = require('../../shared/referenceFiles');
+const { sasExpiry, withSignedPage, withSignedFigure } = require('../../shared/signedUrls');
+const { extractTextLayer } = require('../../shared/pdfText');
+const { extractTextFromBuffer, resolveTextType, detectTextType } = require('../../shared/textExtractor');
+const { CONTAINER_FIGURES, detectFigureRegions, deleteFiguresForPage } = require('../../shared/kbFigures');
+const { formatAuthors } = require('../../shared/referenceSchema');
+const { jobQueueOutput, registerJobHandler, enqueueJob, findActiveJob } = require('../../shared/jobs');
 const mupdf = require('mupdf');
+const crypto = require('crypto');
 
 const CONTAINER_REFERENCES = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
 const CONTAINER_PAGES = process.env.COSMOSDB_CONTAINER_PAGES || 'pages';
 const BLOB_CONTAINER_UPLOADS = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
 const BLOB_CONTAINER_PAGES = process.env.BLOB_CONTAINER_PAGES || 'pages';
+const KB_JOB_BATCH_SIZE = parseInt(process.env.KB_JOB_BATCH_SIZE || '10', 10);
+const KB_JOB_TYPES = ['kb-split', 'kb-split-text', 'kb-ocr', 'kb-index', 'kb-figures'];
+const KB_OCR_PROFILE = process.env.KB_OCR_PROFILE || 'ocr';
+const KB_FIGURE_DPI = parseInt(process.env.KB_FIGURE_DPI || '150', 10);
+const FIGURE_PADDING = 4; // PDF points added around each detected region
 
-// POST /api/kb/split-pdf/{referenceId} - Split PDF into individual page images
+// Page render profiles; override with KB_RENDER_PROFILES, e.g. {"thumbnail":{"dpi":48,"format":"png"}}
+const DEFAULT_RENDER_PROFILES = {
+    thumbnail: { dpi: 36, format: 'jpeg', quality: 70 },
+    reading: { dpi: 110, format: 'jpeg', quality: 80 },
+    ocr: { dpi: 300, format: 'jpeg', quality: 90 }
+};
+
+// Encoders MuPDF provides; other formats (e.g. webp) fall back to JPEG
+const IMAGE_ENCODERS = {
+    jpeg: { extension: 'jpg', contentType: 'image/jpeg', encode: (pixmap, quality) => pixmap.asJPEG(quality) },
+    png: { extension: 'png', contentType: 'image/png', encode: (pixmap) => pixmap.asPNG() }
+};
+
+// A malformed KB_RENDER_PROFILES stops the app at startup rather than rendering with the defaults
+const loadRenderProfiles = () => {
+    let overrides = {};
+    if (process.env.KB_RENDER_PROFILES) {
+        try {
+            overrides = JSON.parse(process.env.KB_RENDER_PROFILES);
+        } catch (error) {
+            throw new Error(`Invalid KB_RENDER_PROFILES JSON: ${error.message}`);
+        }
+    }
+
+    const profiles = {};
+    Object.entries({ ...DEFAULT_RENDER_PROFILES, ...overrides }).forEach(([name, profile]) => {
+        if (!profile) return;
+        const requestedFormat = (profile.format || 'jpeg').toLowerCase().replace('jpg', 'jpeg');
+        profiles[name] = {
+            dpi: Number(profile.dpi) || 150,
+            format: IMAGE_ENCODERS[requestedFormat] ? requestedFormat : 'jpeg',
+            requestedFormat: requestedFormat,
+            quality: Number(profile.quality) || 90
+        };
+    });
+
+    // OCR always needs a full-resolution image
+    if (!profiles[KB_OCR_PROFILE]) {
+        profiles[KB_OCR_PROFILE] = { ...DEFAULT_RENDER_PROFILES.ocr, requestedFormat: 'jpeg' };
+    }
+    return profiles;
+};
+
+const RENDER_PROFILES = loadRenderProfiles();
+
+// True when a stored page already has every configured variant at the same settings
+const hasRenderVariants = (page) => Object.entries(RENDER_PROFILES).every(([name, profile]) => {
+    const variant = page?.variants?.[name];
+    return variant && variant.dpi === profile.dpi && variant.format === profile.format;
+});
+
+// OCR is only needed where the PDF has no usable text layer
+const OCR_REQUIRED_CONDITION = `c.ocrStatus != ${OCR_STATUS.DONE} AND c.ocrStatus != ${OCR_STATUS.NOT_REQUIRED}`;
+
+const loadPageRange = async (referenceId, startPage, endPage) => await queryItems(CONTAINER_PAGES, {
+    query: 'SELECT * FROM c WHERE c.referenceId = @referenceId AND c.pageNumber >= @start AND c.pageNumber <= @end ORDER BY c.pageNumber',
+    parameters: [
+        { name: '@referenceId', value: referenceId },
+        { name: '@start', value: startPage },
+        { name: '@end', value: endPage }
+    ]
+});
+
+const countPages = async (referenceId, condition = '', parameters = []) => {
+    const [count] = await queryItems(CONTAINER_PAGES, {
+        query: `SELECT VALUE COUNT(1) FROM c WHERE c.referenceId = @referenceId ${condition ? `AND ${condition}` : ''}`,
+        parameters: [{ name: '@referenceId', value: referenceId }, ...parameters]
+    });
+    return count || 0;
+};
+
+// Last page number of a split reference: the page count recorded by the split, or the highest stored page
+const splitPageCount = async (reference) => {
+    if (reference.kb_total_pages) return reference.kb_total_pages;
+    const [lastPage] = await queryItems(CONTAINER_PAGES, {
+        query: 'SELECT VALUE MAX(c.pageNumber) FROM c WHERE c.referenceId = @referenceId',
+        parameters: [{ name: '@referenceId', value: reference.id }]
+    });
+    return lastPage || 0;
+};
+
+// Batch errors for page numbers in the range with no stored page (the split failed on them)
+const missingPageErrors = (pages, startPage, endPage) => {
+    const stored = new Set(pages.map(page => page.pageNumber));
+    const errors = [];
+    for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+        if (!stored.has(pageNum)) errors.push({ pageNumber: pageNum, error: 'Page has not been split' });
+    }
+    return errors;
+};
+
+// Render one PDF page in every render profile and store its page record. A page already split
+// from the same source (re-rendered after a KB_RENDER_PROFILES change) keeps its OCR, index and
+// figure data; only its images are replaced.
+const splitPage = async (doc, referenceId, pageNum, totalPages, metadata, sourceHash, existingPage = null) => {
+    // Get the page (0-indexed in MuPDF)
+    const page = doc.loadPage(pageNum - 1);
+    const paddedPageNum = String(pageNum).padStart(4, '0');
+    const variants = {};
+
+    for (const [name, profile] of Object.entries(RENDER_PROFILES)) {
+        // Default PDF is 72 DPI, so scale = dpi/72 (300 DPI ≈ 4.17)
+        const scale = profile.dpi / 72;
+
+        // Create pixmap (render page to image)
+        const pixmap = page.toPixmap(
+            mupdf.Matrix.scale(scale, scale),
+            mupdf.ColorSpace.DeviceRGB,
+            false, // no alpha
+            true   // use annotations
+        );
+
+        const encoder = IMAGE_ENCODERS[profile.format];
+        const imageBuffer = encoder.encode(pixmap, profile.quality);
+        const variantBlobName = `${referenceId}/page_${paddedPageNum}_${name}.${encoder.extension}`;
+
+        const url = await uploadBlob(
+            BLOB_CONTAINER_PAGES,
+            variantBlobName,
+            Buffer.from(imageBuffer),
+            encoder.contentType
+        );
+
+        variants[name] = {
+            blobName: variantBlobName,
+            url: url,
+            format: profile.format,
+            contentType: encoder.contentType,
+            dpi: profile.dpi,
+            width: pixmap.getWidth(),
+            height: pixmap.getHeight(),
+            size: imageBuffer.length
+        };
+    }
+
+    const ocrVariant = variants[KB_OCR_PROFILE];
+    const { text, blocks, quality } = extractTextLayer(page);
+    const hasTextLayer = quality === 'good';
+
+    const keptPage = existingPage?.sourceHash === sourceHash ? existingPage : null;
+
+    // Upsert so a retried batch can rewrite pages it already stored
+    return await upsertItem(CONTAINER_PAGES, {
+        ...keptPage,
+        id: `${referenceId}_page_${paddedPageNum}`,
+        referenceId: referenceId,
+        pageNumber: pageNum,
+        totalPages: totalPages,
+        blobUrl: ocrVariant.url,
+        blobName: ocrVariant.blobName,
+        variants: variants,
+        metadata: metadata,
+        sourceHash: sourceHash,
+        textLayer: { text, blocks, quality, charCount: text.length },
+        hasTextLayer: hasTextLayer,
+        ocrStatus: keptPage?.ocrStatus || (hasTextLayer ? OCR_STATUS.NOT_REQUIRED : OCR_STATUS.PENDING),
+        dateCreated: keptPage?.dateCreated || new Date().toISOString()
+    });
+};
+
+// The file the KB is built from: the first PDF, otherwise the first document the text extractor reads
+const findSourceFile = (reference) => findPdfFile(reference) || (reference?.files || []).find(file =>
+    [file.name, file.blobName, file.url?.split('?')[0]].some(name => name && resolveTextType(name))
+);
+
+// Metadata copied onto every page record
+const pageMetadata = (reference) => ({
+    title: reference.title || '',
+    authors: formatAuthors(reference.authors),
+    year: reference.year || '',
+    source: reference.source || '',
+    type: reference.type || ''
+});
+
+// Record a failed split on the reference so the dashboard can show it
+const recordSplitError = async (job, error) => {
+    const { referenceId } = job.params;
+    const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+    if (!reference) return;
+    await upsertItem(CONTAINER_REFERENCES, {
+        ...reference,
+        kb_split_error: error.message
+    });
+};
+
+// Download the reference PDF and hash it; callers compare the hash with the pages' sourceHash
+const loadSplitSource = async (reference, context, logPrefix) => {
+    const pdfFile = findPdfFile(reference);
+    if (!pdfFile) throw new Error('No PDF file found in this reference');
+
+    const blobName = resolveFileBlobName(pdfFile);
+    context.log(`${logPrefix} Downloading PDF: ${blobName}`);
+    const pdfBuffer = await downloadBlob(BLOB_CONTAINER_UPLOADS, blobName);
+
+    const sourceHash = crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+    return { pdfBuffer, sourceHash };
+};
+
+// Render one region of a page to a PNG buffer
+const renderRegion = (page, bbox, dpi) => {
+    const scale = dpi / 72;
+    const pixmap = new mupdf.Pixmap(
+        mupdf.ColorSpace.DeviceRGB,
+        [Math.floor(bbox[0] * scale), Math.floor(bbox[1] * scale), Math.ceil(bbox[2] * scale), Math.ceil(bbox[3] * scale)],
+        false
+    );
+    pixmap.clear(255);
+
+    const device = new mupdf.DrawDevice(mupdf.Matrix.scale(scale, scale), pixmap);
+    page.run(device, mupdf.Matrix.identity);
+    device.close();
+
+    return { buffer: Buffer.from(pixmap.asPNG()), width: pixmap.getWidth(), height: pixmap.getHeight() };
+};
+
+// Detect, crop and store the figures and tables of one page, replacing earlier ones
+const extractPageFigures = async (doc, pageRecord) => {
+    await deleteFiguresForPage(pageRecord.id);
+
+    const page = doc.loadPage(pageRecord.pageNumber - 1);
+    const [px0, py0, px1, py1] = page.getBounds();
+    const regions = detectFigureRegions(extractTextLayer(page), [px0, py0, px1, py1]);
+    const paddedPageNum = String(pageRecord.pageNumber).padStart(4, '0');
+    const figures = [];
+
+    for (let i = 0; i < regions.length; i++) {
+        const region = regions[i];
+        const bbox = [
+            Math.max(region.bbox[0] - FIGURE_PADDING, px0),
+            Math.max(region.bbox[1] - FIGURE_PADDING, py0),
+            Math.min(region.bbox[2] + FIGURE_PADDING, px1),
+            Math.min(region.bbox[3] + FIGURE_PADDING, py1)
+        ];
+        const figureId = `${pageRecord.id}_fig_${String(i + 1).padStart(2, '0')}`;
+        const blobName = `${pageRecord.referenceId}/figures/page_${paddedPageNum}_fig_${String(i + 1).padStart(2, '0')}.png`;
+
+        const image = renderRegion(page, bbox, KB_FIGURE_DPI);
+        const url = await uploadBlob(BLOB_CONTAINER_PAGES, blobName, image.buffer, 'image/png');
+
+        figures.push(await upsertItem(CONTAINER_FIGURES, {
+            id: figureId,
+            type: 'figure',
+            kind: region.kind,
+            referenceId: pageRecord.referenceId,
+            pageId: pageRecord.id,
+            pageNumber: pageRecord.pageNumber,
+            figureIndex: i + 1,
+            label: region.label,
+            caption: region.caption,
+            detection: region.detection,
+            bbox: bbox,
+            blobName: blobName,
+            url: url,
+            contentType: 'image/png',
+            dpi: KB_FIGURE_DPI,
+            width: image.width,
+            height: image.height,
+            metadata: pageRecord.metadata || {},
+            dateCreated: new Date().toISOString()
+        }));
+    }
+
+    return figures;
+};
+
+// Recognise one page image, tracking ocrStatus on the page record
+const ocrPage = async (page, provider) => {
+    let pageRecord = await upsertItem(CONTAINER_PAGES, {
+        ...page,
+        ocrStatus: OCR_STATUS.PROCESSING,
+        ocrStarted: new Date().toISOString()
+    });
+
+    try {
+        const imageBuffer = await downloadBlob(BLOB_CONTAINER_PAGES, page.blobName);
+        const contentType = page.variants?.[KB_OCR_PROFILE]?.contentType || 'image/jpeg';
+        const ocr = await provider.recognize(imageBuffer, { contentType });
+
+        pageRecord = await upsertItem(CONTAINER_PAGES, {
+            ...pageRecord,
+            ocrStatus: OCR_STATUS.DONE,
+            ocrText: ocr.text || '',
+            ocrWords: ocr.words || [],
+            ocrImageSize: { width: ocr.width, height: ocr.height },
+            ocrProvider: provider.name,
+            ocrError: null,
+            ocrCompleted: new Date().toISOString()
+        });
+        return pageRecord;
+    } catch (error) {
+        await upsertItem(CONTAINER_PAGES, {
+            ...pageRecord,
+            ocrStatus: OCR_STATUS.FAILED,
+            ocrError: error.message
+        });
+        throw error;
+    }
+};
+
+// Start (or join) a KB job for a reference and answer 202 with its status URL
+const startKbJob = async (context, type, referenceId, params = {}) => {
+    const activeJob = await findActiveJob(type, 'referenceId', referenceId);
+    const job = activeJob || await enqueueJob(context, type, { referenceId, ...params });
+
+    return {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            success: true,
+            referenceId: referenceId,
+            jobId: job.id,
+            jobStatus: job.status,
+            alreadyRunning: Boolean(activeJob),
+            statusUrl: `/api/jobs/${job.id}`
+        })
+    };
+};
+
+// Job: split a reference PDF into page images, KB_JOB_BATCH_SIZE pages per batch.
+// Pages already rendered from the same PDF (by SHA-256) are skipped unless forced.
+registerJobHandler('kb-split', {
+    runBatch: async (job, context) => {
+        const { referenceId, force } = job.params;
+
+        const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+        if (!reference) throw new Error('Reference not found');
+
+        const { pdfBuffer, sourceHash } = await loadSplitSource(reference, context, '[KB Split PDF]');
+        if (job.cursor?.sourceHash && job.cursor.sourceHash !== sourceHash) {
+            throw new Error('Source PDF changed while splitting; start a new split');
+        }
+
+        // First batch: drop pages from a different (or forced) source so no stale images remain
+        let rebuilt = job.cursor?.rebuilt || false;
+        if (!job.cursor) {
+            const stalePages = await countPages(referenceId, '(NOT IS_DEFINED(c.sourceHash) OR c.sourceHash != @sourceHash)', [
+                { name: '@sourceHash', value: sourceHash }
+            ]);
+            if (force || stalePages > 0) {
+                const removed = await deleteReferencePages(referenceId);
+                context.log(`[KB Split PDF] Removed ${removed.pages} existing pages before rebuild`);
+                rebuilt = true;
+            }
+        }
+
+        const doc = mupdf.Document.openDocument(pdfBuffer, 'application/pdf');
+        const totalPages = doc.countPages();
+
+        const metadata = pageMetadata(reference);
+
+        const startPage = job.cursor?.nextPage || 1;
+        const endPage = Math.min(startPage + KB_JOB_BATCH_SIZE - 1, totalPages);
+        const errors = [];
+        let skippedPages = job.cursor?.skippedPages || 0;
+
+        const existingPages = new Map(
+            (await loadPageRange(referenceId, startPage, endPage)).map(page => [page.pageNumber, page])
+        );
+
+        for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+            const existingPage = existingPages.get(pageNum);
+            if (existingPage?.sourceHash === sourceHash && existingPage.textLayer && hasRenderVariants(existingPage)) {
+                skippedPages += 1;
+                continue;
+            }
+
+            context.log(`[KB Split PDF] Processing page ${pageNum}/${totalPages}`);
+            try {
+                await splitPage(doc, referenceId, pageNum, totalPages, metadata, sourceHash, existingPage);
+            } catch (pageError) {
+                context.error(`[KB Split PDF] Error processing page ${pageNum}:`, pageError.message);
+                errors.push({ pageNumber: pageNum, error: pageError.message });
+            }
+        }
+
+        const done = endPage >= totalPages;
+        let result = null;
+
+        if (done) {
+            const failedPageNumbers = [...(job.errors || []), ...errors].map(error => error.pageNumber).sort((a, b) => a - b);
+            const failedPages = failedPageNumbers.length;
+
+            // Pages with a native text layer skip OCR; if none need it the reference is ready to index
+            const ocrRequiredPages = await countPages(referenceId, OCR_REQUIRED_CONDITION);
+            const splitStatus = ocrRequiredPages === 0 ? 2 : 1;
+
+            // An unchanged re-run keeps later stages (OCR, index) that already completed; pages it
+            // re-rendered for new render profiles kept their OCR and index data (see splitPage)
+            const unchanged = !rebuilt && reference.kb_source_hash === sourceHash;
+            const baseReference = rebuilt ? resetKnowledgeStatus(reference) : reference;
+            let newStatus = unchanged ? Math.max(reference.ref_knowledge_status || 0, splitStatus) : splitStatus;
+
+            // A split with failed pages does not advance the status; re-running it retries those pages
+            if (failedPages > 0) {
+                newStatus = baseReference.ref_knowledge_status || 0;
+                context.warn(`[KB Split PDF] ${failedPages} of ${totalPages} pages failed to split`);
+            }
+
+            // Update ref_knowledge_status in the original reference
+            context.log('[KB Split PDF] Updating reference knowledge status...');
+            const updatedReference = {
+                ...baseReference,
+                ref_knowledge_status: newStatus,
+                kb_split_completed: new Date().toISOString(),
+                kb_total_pages: totalPages,
+                kb_ocr_required_pages: ocrRequiredPages,
+                kb_source_hash: sourceHash,
+                kb_split_error: failedPages > 0 ? `${failedPages} of ${totalPages} pages failed to split` : null,
+                kb_failed_pages: failedPages > 0 ? failedPageNumbers : null
+            };
+            await upsertItem(CONTAINER_REFERENCES, updatedReference);
+
+            result = {
+                totalPages,
+                processedPages: totalPages - failedPages - skippedPages,
+                skippedPages,
+                failedPages,
+                ocrRequiredPages,
+                rebuilt,
+                newStatus
+            };
+        }
+
+        return {
+            done,
+            cursor: { nextPage: endPage + 1, sourceHash, rebuilt, skippedPages },
+            progress: { processed: endPage, total: totalPages },
+            errors,
+            result
+        };
+    },
+    onFailure: recordSplitError
+});
+
+// Job: store the text of a document other than a PDF (EPUB, HTML, slides, ...) as text-only page
+// records: EPUB chapters and slides become pages, longer text is cut into KB_TEXT_PAGE_SIZE pieces.
+// Pages are written KB_JOB_BATCH_SIZE per batch; there is nothing to render or OCR, so the
+// reference is ready to index once the last batch is stored.
+registerJobHandler('kb-split-text', {
+    runBatch: async (job, context) => {
+        const { referenceId, force } = job.params;
+
+        const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+        if (!reference) throw new Error('Reference not found');
+
+        const sourceFile = findSourceFile(reference);
+        if (!sourceFile) throw new Error('No document with extractable text found in this reference');
+
+        const blobName = resolveFileBlobName(sourceFile);
+        context.log(`[KB Split Text] Downloading document: ${blobName}`);
+        const buffer = await downloadBlob(BLOB_CONTAINER_UPLOADS, blobName);
+        const sourceHash = crypto.createHash('sha256').update(buffer).digest('hex');
+        if (job.cursor?.sourceHash && job.cursor.sourceHash !== sourceHash) {
+            throw new Error('Document changed while splitting; start a new split');
+        }
+
+        const sourceType = detectTextType(buffer, sourceFile.name || blobName);
+        if (!sourceType) throw new Error(`Unsupported document type: ${sourceFile.name || blobName}`);
+
+        // An unchanged document keeps its pages and any index built on them
+        if (!job.cursor && !force && reference.kb_source_hash === sourceHash && reference.kb_split_completed && !reference.kb_split_error) {
+            const totalPages = reference.kb_total_pages || 0;
+            return {
+                done: true,
+                progress: { processed: totalPages, total: totalPages },
+                result: { totalPages, skippedPages: totalPages, sourceType, rebuilt: false, newStatus: reference.ref_knowledge_status }
+            };
+        }
+
+        // Extraction is repeated for every batch, like the PDF split reopening the PDF
+        const { text, pages: sections } = await extractTextFromBuffer(buffer, sourceType, { pages: true });
+        const pages = (sections || [{ text }]).flatMap(section =>
+            paginateText(section.text).map(pageText => ({ title: section.title || null, text: pageText }))
+        );
+        if (pages.length === 0) throw new Error('No text could be extracted from this document');
+        const totalPages = pages.length;
+
+        // First batch: drop the pages of the previous split
+        let rebuilt = job.cursor?.rebuilt || false;
+        if (!job.cursor) {
+            const removed = await deleteReferencePages(referenceId);
+            if (removed.pages > 0) context.log(`[KB Split Text] Removed ${removed.pages} existing pages before rebuild`);
+            rebuilt = removed.pages > 0;
+        }
+
+        const metadata = pageMetadata(reference);
+        const startPage = job.cursor?.nextPage || 1;
+        const endPage = Math.min(startPage + KB_JOB_BATCH_SIZE - 1, totalPages);
+
+        for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+            const page = pages[pageNum - 1];
+            await upsertItem(CONTAINER_PAGES, {
+                id: `${referenceId}_page_${String(pageNum).padStart(4, '0')}`,
+                referenceId: referenceId,
+                pageNumber: pageNum,
+                totalPages: totalPages,
+                blobUrl: null,
+                blobName: null,
+                variants: {},
+                metadata: metadata,
+                sourceHash: sourceHash,
+                sourceType: sourceType,
+                sectionTitle: page.title,
+                textLayer: { text: page.text, blocks: [], quality: 'good', charCount: page.text.length },
+                hasTextLayer: true,
+                ocrStatus: OCR_STATUS.NOT_REQUIRED,
+                dateCreated: new Date().toISOString()
+            });
+        }
+
+        const done = endPage >= totalPages;
+        let result = null;
+
+        if (done) {
+            context.log('[KB Split Text] Updating reference knowledge status...');
+            await upsertItem(CONTAINER_REFERENCES, {
+                ...resetKnowledgeStatus(reference),
+                ref_knowledge_status: 2,
+                kb_split_completed: new Date().toISOString(),
+                kb_total_pages: totalPages,
+                kb_ocr_required_pages: 0,
+                kb_source_hash: sourceHash,
+                kb_source_type: sourceType,
+                kb_split_error: null,
+                kb_failed_pages: null
+            });
+
+            result = { totalPages, skippedPages: 0, sourceType, rebuilt, newStatus: 2 };
+        }
+
+        return {
+            done,
+            cursor: { nextPage: endPage + 1, sourceHash, rebuilt },
+            progress: { processed: endPage, total: totalPages },
+            result
+        };
+    },
+    onFailure: recordSplitError
+});
+
+// Job: OCR page images in page-number batches
+registerJobHandler('kb-ocr', {
+    runBatch: async (job, context) => {
+        const { referenceId, force } = job.params;
+
+        const provider = getOcrProvider();
+        if (!provider) throw new Error('OCR provider not configured');
+
+        const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+        if (!reference) throw new Error('Reference not found');
+
+        const totalPages = await splitPageCount(reference);
+        const startPage = job.cursor?.nextPage || 1;
+        const endPage = Math.min(startPage + KB_JOB_BATCH_SIZE - 1, totalPages);
+
+        const pages = await loadPageRange(referenceId, startPage, endPage);
+        const errors = missingPageErrors(pages, startPage, endPage);
+        const missingPages = (job.cursor?.missingPages || 0) + errors.length;
+        for (const page of pages) {
+            // Skip pages already recognised or with a usable text layer unless a full re-run is requested
+            if (!force && (page.ocrStatus === OCR_STATUS.DONE || page.ocrStatus === OCR_STATUS.NOT_REQUIRED)) continue;
+            // Text-only pages (kb-split-text) have no image to recognise, even on a forced re-run
+            if (!page.blobName) continue;
+
+            try {
+                await ocrPage(page, provider);
+                context.log(`[KB OCR] Page ${page.pageNumber} completed`);
+            } catch (pageError) {
+                context.error(`[KB OCR] Error processing page ${page.pageNumber}:`, pageError.message);
+                errors.push({ pageNumber: page.pageNumber, error: pageError.message });
+            }
+        }
+
+        const done = endPage >= totalPages;
+        let result = null;
+
+        if (done) {
+            const remaining = await countPages(referenceId, OCR_REQUIRED_CONDITION);
+            const failedPages = remaining + missingPages;
+            const latest = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+
+            // Only advance ref_knowledge_status once every page exists and has text
+            if (failedPages === 0 && latest) {
+                context.log('[KB OCR] Updating reference knowledge status...');
+                await upsertItem(CONTAINER_REFERENCES, {
+                    ...latest,
+                    ref_knowledge_status: 2,
+                    kb_ocr_completed: new Date().toISOString()
+                });
+            }
+
+            result = {
+                totalPages,
+                failedPages,
+                missingPages,
+                provider: provider.name,
+                newStatus: failedPages === 0 ? 2 : (latest?.ref_knowledge_status ?? 1)
+            };
+        }
+
+        return {
+            done,
+            cursor: { nextPage: endPage + 1, missingPages },
+            progress: { processed: Math.min(endPage, totalPages), total: totalPages },
+            errors,
+            result
+        };
+    }
+});
+
+// Job: chunk and embed page text in page-number batches
+registerJobHandler('kb-index', {
+    runBatch: async (job, context) => {
+        const { referenceId, force } = job.params;
+
+        const provider = getEmbeddingProvider();
+        if (!provider) throw new Error('Embedding provider not configured');
+
+        const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+        if (!reference) throw new Error('Reference not found');
+
+        const totalPages = await splitPageCount(reference);
+        const startPage = job.cursor?.nextPage || 1;
+        const endPage = Math.min(startPage + KB_JOB_BATCH_SIZE - 1, totalPages);
+        let pagesWithoutText = job.cursor?.pagesWithoutText || 0;
+
+        // Pages the split never stored count as failures, so the reference is not marked searchable
+        const pages = await loadPageRange(referenceId, startPage, endPage);
+        const errors = missingPageErrors(pages, startPage, endPage);
+        for (const page of pages) {
+            if (!getPageText(page)) {
+                pagesWithoutText += 1;
+                continue;
+            }
+
+            // Already embedded with this provider
+            if (!force && page.indexedAt && page.indexProvider === provider.name) continue;
+
+            try {
+                const chunkCount = await indexPage(page, provider);
+                await upsertItem(CONTAINER_PAGES, {
+                    ...page,
+                    chunkCount: chunkCount,
+                    indexProvider: provider.name,
+                    indexedAt: new Date().toISOString()
+                });
+                context.log(`[KB Index] Page ${page.pageNumber}: ${chunkCount} chunks`);
+            } catch (pageError) {
+                context.error(`[KB Index] Error indexing page ${page.pageNumber}:`, pageError.message);
+                errors.push({ pageNumber: page.pageNumber, error: pageError.message });
+            }
+        }
+
+        const done = endPage >= totalPages;
+        let result = null;
+
+        if (done) {
+            const failedPages = (job.errors || []).length + errors.length;
+            const complete = failedPages === 0 && pagesWithoutText === 0;
+            const latest = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+
+            // Only mark the reference searchable once every page is embedded
+            if (complete && latest) {
+                context.log('[KB Index] Updating reference knowledge status...');
+                await upsertItem(CONTAINER_REFERENCES, {
+                    ...latest,
+                    ref_knowledge_status: 3,
+                    kb_index_completed: new Date().toISOString()
+                });
+            }
+
+            result = {
+                totalPages,
+                failedPages,
+                pagesWithoutText,
+                provider: provider.name,
+                newStatus: complete ? 3 : latest?.ref_knowledge_status
+            };
+        }
+
+        return {
+            done,
+            cursor: { nextPage: endPage + 1, pagesWithoutText },
+            progress: { processed: Math.min(endPage, totalPages), total: totalPages },
+            errors,
+            result
+        };
+    }
+});
+
+// Job: crop figures and tables out of split pages in page-number batches
+registerJobHandler('kb-figures', {
+    runBatch: async (job, context) => {
+        const { referenceId, force } = job.params;
+
+        const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+        if (!reference) throw new Error('Reference not found');
+
+        const { pdfBuffer, sourceHash } = await loadSplitSource(reference, context, '[KB Figures]');
+        if (reference.kb_source_hash && reference.kb_source_hash !== sourceHash) {
+            throw new Error('Source PDF changed since it was split; run kb/split-pdf first');
+        }
+
+        const doc = mupdf.Document.openDocument(pdfBuffer, 'application/pdf');
+        const totalPages = await splitPageCount(reference);
+        const startPage = job.cursor?.nextPage || 1;
+        const endPage = Math.min(startPage + KB_JOB_BATCH_SIZE - 1, totalPages);
+
+        const pages = await loadPageRange(referenceId, startPage, endPage);
+        const errors = missingPageErrors(pages, startPage, endPage);
+        for (const page of pages) {
+            if (!force && page.figuresExtractedAt) continue;
+
+            try {
+                const figures = await extractPageFigures(doc, page);
+                await upsertItem(CONTAINER_PAGES, {
+                    ...page,
+                    figureCount: figures.length,
+                    figuresExtractedAt: new Date().toISOString()
+                });
+                context.log(`[KB Figures] Page ${page.pageNumber}: ${figures.length} figures`);
+            } catch (pageError) {
+                context.error(`[KB Figures] Error processing page ${page.pageNumber}:`, pageError.message);
+                errors.push({ pageNumber: page.pageNumber, error: pageError.message });
+            }
+        }
+
+        const done = endPage >= totalPages;
+        let result = null;
+
+        if (done) {
+            const [figureCount] = await queryItems(CONTAINER_FIGURES, {
+                query: 'SELECT VALUE COUNT(1) FROM c WHERE c.referenceId = @referenceId',
+                parameters: [{ name: '@referenceId', value: referenceId }]
+            });
+            const failedPages = (job.errors || []).length + errors.length;
+
+            const latest = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+            if (latest) {
+                await upsertItem(CONTAINER_REFERENCES, {
+                    ...latest,
+                    kb_figures_completed: new Date().toISOString(),
+                    kb_figure_count: figureCount || 0
+                });
+            }
+
+            result = { totalPages, failedPages, figureCount: figureCount || 0 };
+        }
+
+        return {
+            done,
+            cursor: { nextPage: endPage + 1 },
+            progress: { processed: Math.min(endPage, totalPages), total: totalPages },
+            errors,
+            result
+        };
+    }
+});
+
+// POST /api/kb/split-pdf/{referenceId}?force=true - Queue a job splitting the PDF into page images
 app.http('KBSplitPDF', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'kb/split-pdf/{referenceId}',
+    extraOutputs: [jobQueueOutput],
     handler: async (request, context) => {
         const referenceId = request.params.referenceId;
-        
+        const force = request.query.get('force') === 'true';
+
         context.log(`[KB Split PDF] Starting for reference: ${referenceId}`);
-        
+
         try {
-            // 1. Fetch the reference from CosmosDB
             const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
             if (!reference) {
                 return {
@@ -28,173 +805,342 @@ app.http('KBSplitPDF', {
                     body: JSON.stringify({ error: 'Reference not found' })
                 };
             }
-            
-            // 2. Find PDF file in the reference's files array
-            const files = reference.files || [];
-            const pdfFile = files.find(f => 
-                (f.name?.toLowerCase().endsWith('.pdf')) || 
-                (f.url?.toLowerCase().endsWith('.pdf'))
-            );
-            
-            if (!pdfFile) {
+
+            const sourceFile = findSourceFile(reference);
+            if (!sourceFile) {
                 return {
                     status: 400,
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ error: 'No PDF file found in this reference' })
+                    body: JSON.stringify({ error: 'No PDF or other supported document found in this reference' })
                 };
             }
-            
-            // Extract blob name from URL or use stored blobName
-            let blobName = pdfFile.blobName;
-            if (!blobName && pdfFile.url) {
-                // Extract blob name from URL (format: https://account.blob.../container/blobname)
-                const urlParts = pdfFile.url.split('/');
-                blobName = urlParts.slice(-1)[0]; // Get last part as blob name
-                // If it includes the container, get the path after container
-                if (pdfFile.url.includes(BLOB_CONTAINER_UPLOADS)) {
-                    const containerIndex = urlParts.indexOf(BLOB_CONTAINER_UPLOADS);
-                    if (containerIndex !== -1) {
-                        blobName = urlParts.slice(containerIndex + 1).join('/');
-                    }
-                }
+
+            // The recorded file hash says whether the pages already come from this exact file
+            const sha256 = fileSha256(sourceFile);
+            if (!force && sha256 && reference.kb_split_completed && !reference.kb_split_error && reference.kb_source_hash === sha256) {
+                context.log(`[KB Split PDF] ${referenceId} already split from ${sha256}; skipping`);
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        success: true,
+                        referenceId: referenceId,
+                        skipped: true,
+                        reason: 'Pages were already split from this file; use ?force=true to rebuild',
+                        totalPages: reference.kb_total_pages
+                    })
+                };
             }
-            
-            context.log(`[KB Split PDF] Downloading PDF: ${blobName}`);
-            
-            // 3. Download the PDF from blob storage
-            let pdfBuffer;
-            try {
-                pdfBuffer = await downloadBlob(BLOB_CONTAINER_UPLOADS, blobName);
-                context.log(`[KB Split PDF] Downloaded ${pdfBuffer.length} bytes`);
-            } catch (downloadError) {
-                context.error('[KB Split PDF] Download failed:', downloadError.message);
+
+            // Documents other than PDFs have no page images; their text is split into pages directly
+            const jobType = sourceFile === findPdfFile(reference) ? 'kb-split' : 'kb-split-text';
+            return await startKbJob(context, jobType, referenceId, { force });
+        } catch (error) {
+            context.error('[KB Split PDF] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to split PDF', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/kb/ocr/{referenceId} - Queue a job running OCR over the page images
+app.http('KBOcrPages', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'kb/ocr/{referenceId}',
+    extraOutputs: [jobQueueOutput],
+    handler: async (request, context) => {
+        const referenceId = request.params.referenceId;
+        const force = request.query.get('force') === 'true';
+
+        context.log(`[KB OCR] Starting for reference: ${referenceId}`);
+
+        try {
+            const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+            if (!reference) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found' })
+                };
+            }
+
+            if (!getOcrProvider()) {
+                context.error('[KB OCR] No OCR provider configured');
                 return {
                     status: 500,
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ error: 'Failed to download PDF', details: downloadError.message })
+                    body: JSON.stringify({ error: 'OCR provider not configured' })
+                };
+            }
+
+            if (await countPages(referenceId) === 0) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'No pages found. Run kb/split-pdf first.' })
                 };
             }
-            
-            // 4. Open PDF with MuPDF and get page count
-            context.log('[KB Split PDF] Opening PDF with MuPDF...');
-            const doc = mupdf.Document.openDocument(pdfBuffer, 'application/pdf');
-            const totalPages = doc.countPages();
-            
-            context.log(`[KB Split PDF] PDF has ${totalPages} pages`);
-            
-            // 5. Extract metadata from reference for page records
-            const metadata = {
-                title: reference.title || '',
-                authors: reference.authors || '',
-                year: reference.year || '',
-                source: reference.source || '',
-                type: reference.type || ''
+
+            return await startKbJob(context, 'kb-ocr', referenceId, { force });
+        } catch (error) {
+            context.error('[KB OCR] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to OCR pages', details: error.message })
             };
-            
-            const processedPages = [];
-            
-            // 6. Loop through each page
-            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-                context.log(`[KB Split PDF] Processing page ${pageNum}/${totalPages}`);
-                
-                try {
-                    // Get the page (0-indexed in MuPDF)
-                    const page = doc.loadPage(pageNum - 1);
-                    
-                    // Get page bounds and calculate scale for 300 DPI
-                    // Default PDF is 72 DPI, so scale = 300/72 ≈ 4.17
-                    const bounds = page.getBounds();
-                    const scale = 300 / 72;
-                    
-                    // Create pixmap (render page to image)
-                    const pixmap = page.toPixmap(
-                        mupdf.Matrix.scale(scale, scale),
-                        mupdf.ColorSpace.DeviceRGB,
-                        false, // no alpha
-                        true   // use annotations
-                    );
-                    
-                    // Convert to JPEG with 90% quality
-                    const jpegBuffer = pixmap.asJPEG(90);
-                    
-                    // Generate blob name for this page
-                    const paddedPageNum = String(pageNum).padStart(4, '0');
-                    const pageBlobName = `${referenceId}/page_${paddedPageNum}.jpg`;
-                    
-                    // Upload to blob storage
-                    context.log(`[KB Split PDF] Uploading page ${pageNum} to blob: ${pageBlobName}`);
-                    const blobUrl = await uploadBlob(
-                        BLOB_CONTAINER_PAGES,
-                        pageBlobName,
-                        Buffer.from(jpegBuffer),
-                        'image/jpeg'
-                    );
-                    
-                    // Create CosmosDB record for this page
-                    const pageRecord = {
-                        id: `${referenceId}_page_${paddedPageNum}`,
-                        referenceId: referenceId,
-                        pageNumber: pageNum,
-                        totalPages: totalPages,
-                        blobUrl: blobUrl,
-                        blobName: pageBlobName,
-                        metadata: metadata,
-                        ocrStatus: 0, // Not yet OCR'd
-                        dateCreated: new Date().toISOString()
+        }
+    }
+});
+
+// POST /api/kb/index/{referenceId} - Queue a job chunking and embedding page text
+app.http('KBIndexPages', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'kb/index/{referenceId}',
+    extraOutputs: [jobQueueOutput],
+    handler: async (request, context) => {
+        const referenceId = request.params.referenceId;
+        const force = request.query.get('force') === 'true';
+
+        context.log(`[KB Index] Starting for reference: ${referenceId}`);
+
+        try {
+            const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+            if (!reference) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found' })
+                };
+            }
+
+            if (!getEmbeddingProvider()) {
+                context.error('[KB Index] No embedding provider configured');
+                return {
+                    status: 500,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Embedding provider not configured' })
+                };
+            }
+
+            if (await countPages(referenceId) === 0) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'No pages found. Run kb/split-pdf first.' })
+                };
+            }
+
+            return await startKbJob(context, 'kb-index', referenceId, { force });
+        } catch (error) {
+            context.error('[KB Index] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to index pages', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/kb/figures/{referenceId}?force=true - Queue a job extracting figures and tables from the pages
+app.http('KBExtractFigures', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'kb/figures/{referenceId}',
+    extraOutputs: [jobQueueOutput],
+    handler: async (request, context) => {
+        const referenceId = request.params.referenceId;
+        const force = request.query.get('force') === 'true';
+
+        context.log(`[KB Figures] Starting for reference: ${referenceId}`);
+
+        try {
+            const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+            if (!reference) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found' })
+                };
+            }
+
+            // Text-only pages from other documents have no images to crop
+            if (!findPdfFile(reference)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Figures can only be extracted from PDF files' })
+                };
+            }
+
+            if (await countPages(referenceId) === 0) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'No pages found. Run kb/split-pdf first.' })
+                };
+            }
+
+            return await startKbJob(context, 'kb-figures', referenceId, { force });
+        } catch (error) {
+            context.error('[KB Figures] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to extract figures', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/kb/figures?q=&referenceId=&kind=table - List extracted figures, matching captions against q
+app.http('KBListFigures', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'kb/figures',
+    handler: async (request, context) => {
+        const q = (request.query.get('q') || '').trim();
+        const referenceId = request.query.get('referenceId');
+        const kind = request.query.get('kind');
+
+        try {
+            const conditions = [];
+            const parameters = [];
+            if (referenceId) {
+                conditions.push('c.referenceId = @referenceId');
+                parameters.push({ name: '@referenceId', value: referenceId });
+            }
+            if (kind) {
+                conditions.push('c.kind = @kind');
+                parameters.push({ name: '@kind', value: kind });
+            }
+            if (q) {
+                conditions.push('(CONTAINS(c.caption, @q, true) OR CONTAINS(c.label, @q, true) OR CONTAINS(c.metadata.title, @q, true))');
+                parameters.push({ name: '@q', value: q });
+            }
+
+            const figures = await queryItems(CONTAINER_FIGURES, {
+                query: `SELECT * FROM c ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+                parameters
+            });
+            figures.sort((a, b) => a.referenceId.localeCompare(b.referenceId) || a.pageNumber - b.pageNumber || a.figureIndex - b.figureIndex);
+
+            const expiresOn = sasExpiry();
+            const signedFigures = await Promise.all(figures.map(figure => withSignedFigure(figure, expiresOn)));
+
+            context.log(`[KB List Figures] ${figures.length} figures`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ query: q, count: signedFigures.length, figures: signedFigures })
+            };
+        } catch (error) {
+            context.error('[KB List Figures] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to list figures', details: error.message })
+            };
+        }
+    }
+});
+
+// DELETE /api/kb/pages/{referenceId} - Remove page images, page records and chunks for a reference
+app.http('KBDeletePages', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'kb/pages/{referenceId}',
+    handler: async (request, context) => {
+        const referenceId = request.params.referenceId;
+
+        try {
+            for (const type of KB_JOB_TYPES) {
+                const activeJob = await findActiveJob(type, 'referenceId', referenceId);
+                if (activeJob) {
+                    return {
+                        status: 409,
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ error: `A ${type} job is still running for this reference`, jobId: activeJob.id })
                     };
-                    
-                    await createItem(CONTAINER_PAGES, pageRecord);
-                    
-                    processedPages.push({
-                        pageNumber: pageNum,
-                        blobUrl: blobUrl,
-                        recordId: pageRecord.id
-                    });
-                    
-                    context.log(`[KB Split PDF] Page ${pageNum} completed`);
-                    
-                } catch (pageError) {
-                    context.error(`[KB Split PDF] Error processing page ${pageNum}:`, pageError.message);
-                    // Continue with other pages but log the error
-                    processedPages.push({
-                        pageNumber: pageNum,
-                        error: pageError.message
-                    });
                 }
             }
-            
-            // 7. Update ref_knowledge_status to 1 in the original reference
-            context.log('[KB Split PDF] Updating reference knowledge status...');
-            const updatedReference = {
-                ...reference,
-                ref_knowledge_status: 1,
-                kb_split_completed: new Date().toISOString(),
-                kb_total_pages: totalPages
-            };
-            
-            await upsertItem(CONTAINER_REFERENCES, updatedReference);
-            
-            context.log(`[KB Split PDF] Completed! ${processedPages.length} pages processed`);
-            
+
+            const removed = await deleteReferencePages(referenceId);
+
+            const reference = await getItem(CONTAINER_REFERENCES, referenceId, referenceId);
+            if (reference) {
+                await upsertItem(CONTAINER_REFERENCES, resetKnowledgeStatus(reference));
+            }
+
+            context.log(`[KB Delete Pages] ${referenceId}: ${removed.pages} pages, ${removed.blobs} blobs, ${removed.chunks} chunks`);
+
             return {
                 status: 200,
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     success: true,
                     referenceId: referenceId,
-                    totalPages: totalPages,
-                    processedPages: processedPages.length,
-                    pages: processedPages,
-                    newStatus: 1
+                    deleted: removed,
+                    newStatus: reference ? 0 : null
                 })
             };
-            
         } catch (error) {
-            context.error('[KB Split PDF] Error:', error);
+            context.error('[KB Delete Pages] Error:', error);
             return {
                 status: 500,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ error: 'Failed to split PDF', details: error.message })
+                body: JSON.stringify({ error: 'Failed to delete pages', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/kb/pages/{referenceId} - List pages of a reference with their image variants
+app.http('KBListPages', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'kb/pages/{referenceId}',
+    handler: async (request, context) => {
+        const referenceId = request.params.referenceId;
+
+        try {
+            const pages = await queryItems(CONTAINER_PAGES, {
+                query: 'SELECT c.id, c.pageNumber, c.totalPages, c.blobUrl, c.blobName, c.variants, c.hasTextLayer, c.textLayer.quality AS textLayerQuality, c.ocrStatus, c.chunkCount, c.indexedAt, c.figureCount FROM c WHERE c.referenceId = @referenceId ORDER BY c.pageNumber',
+                parameters: [{ name: '@referenceId', value: referenceId }]
+            });
+
+            const expiresOn = sasExpiry();
+            const signedPages = await Promise.all(pages.map(page => withSignedPage({
+                ...page,
+                // Pages split before render profiles only have the OCR-grade image
+                variants: page.variants || { [KB_OCR_PROFILE]: { url: page.blobUrl, blobName: page.blobName, format: 'jpeg', dpi: 300 } }
+            }, expiresOn)));
+
+            context.log(`[KB List Pages] ${referenceId}: ${pages.length} pages`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    referenceId: referenceId,
+                    totalPages: pages.length,
+                    profiles: RENDER_PROFILES,
+                    pages: signedPages
+                })
+            };
+        } catch (error) {
+            context.error('[KB List Pages] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to list pages', details: error.message })
             };
         }
     }
@@ -0,0 +1,222 @@
+const { app } = require('@azure/functions');
+const { getEmbeddingProvider } = require('../../shared/embeddingProvider');
+const { searchChunks } = require('../../shared/kbIndex');
+const OpenAI = require('openai');
+
+const MAX_RESULTS = 50;
+const DEFAULT_ASK_PASSAGES = 8;
+
+const normalizeSpan = (value) => (value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const formatPassage = (chunk, index) => {
+    const title = chunk.metadata?.title || 'Untitled';
+    const year = chunk.metadata?.year || 'n.d.';
+    return `[${index + 1}] ${title} (${year}), p. ${chunk.pageNumber}\n${chunk.text}`;
+};
+
+// Map the model's passage numbers back to pages, keeping only quotes found in the passage
+const buildCitations = (rawCitations, chunks) => {
+    const citations = [];
+    const seen = new Set();
+
+    (Array.isArray(rawCitations) ? rawCitations : []).forEach(citation => {
+        const chunk = chunks[parseInt(citation?.passage, 10) - 1];
+        if (!chunk) return;
+
+        const quote = (citation.quote || '').trim();
+        const verified = Boolean(quote) && normalizeSpan(chunk.text).includes(normalizeSpan(quote));
+        const key = `${chunk.id}|${verified ? normalizeSpan(quote) : ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        citations.push({
+            passage: parseInt(citation.passage, 10),
+            referenceId: chunk.referenceId,
+            title: chunk.metadata?.title || '',
+            authors: chunk.metadata?.authors || '',
+            year: chunk.metadata?.year || '',
+            pageNumber: chunk.pageNumber,
+            quote: verified ? quote : null
+        });
+    });
+
+    return citations;
+};
+
+const toSearchResult = (chunk) => ({
+    referenceId: chunk.referenceId,
+    pageNumber: chunk.pageNumber,
+    chunkIndex: chunk.chunkIndex,
+    score: chunk.score,
+    text: chunk.text,
+    title: chunk.metadata?.title || '',
+    authors: chunk.metadata?.authors || '',
+    year: chunk.metadata?.year || ''
+});
+
+// GET /api/kb/search?q=...&k=10&referenceId=... - Semantic search over KB page chunks
+app.http('KBSearch', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'kb/search',
+    handler: async (request, context) => {
+        try {
+            const query = (request.query.get('q') || '').trim();
+            const topK = Math.max(1, Math.min(parseInt(request.query.get('k') || '10', 10) || 10, MAX_RESULTS));
+            const referenceId = request.query.get('referenceId');
+            
+            if (!query) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'q query parameter is required' })
+                };
+            }
+            
+            const provider = getEmbeddingProvider();
+            if (!provider) {
+                context.error('[KB Search] No embedding provider configured');
+                return {
+                    status: 500,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Embedding provider not configured' })
+                };
+            }
+            
+            context.log(`[KB Search] "${query}" (k=${topK}) with ${provider.name}`);
+            
+            const chunks = await searchChunks(query, provider, { topK, referenceId });
+            
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    query: query,
+                    results: chunks.map(toSearchResult)
+                })
+            };
+        } catch (error) {
+            context.error('[KB Search] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to search knowledge base', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/kb/ask - Answer a research question from KB passages with page-level citations
+app.http('KBAsk', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'kb/ask',
+    handler: async (request, context) => {
+        try {
+            const body = await request.json().catch(() => null);
+            const question = String(body?.question || '').trim();
+            const topK = Math.max(1, Math.min(parseInt(body?.k, 10) || DEFAULT_ASK_PASSAGES, MAX_RESULTS));
+            const referenceId = body?.referenceId || null;
+            
+            if (!question) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'question is required' })
+                };
+            }
+            
+            if (!process.env.OPENAI_API_KEY) {
+                context.error('[KB Ask] OPENAI_API_KEY not set');
+                return {
+                    status: 500,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'OpenAI API key not configured' })
+                };
+            }
+            
+            const provider = getEmbeddingProvider();
+            if (!provider) {
+                context.error('[KB Ask] No embedding provider configured');
+                return {
+                    status: 500,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Embedding provider not configured' })
+                };
+            }
+            
+            context.log(`[KB Ask] Retrieving ${topK} passages for: "${question}"`);
+            const chunks = await searchChunks(question, provider, { topK, referenceId });
+            
+            if (chunks.length === 0) {
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        question: question,
+                        answer: 'No indexed passages are available to answer this question.',
+                        citations: [],
+                        passages: []
+                    })
+                };
+            }
+            
+            const prompt = `Answer the research question using ONLY the numbered passages below.
+If the passages do not contain the answer, say so plainly. Do not use outside knowledge and do not invent references.
+Return a JSON object with keys "answer" and "citations".
+"answer": the answer, citing passages inline as [1], [2], etc.
+"citations": an array of { "passage": <passage number>, "quote": "<short span copied verbatim from that passage>" } for every passage you relied on.
+Respond with JSON only.
+
+Question: ${question}
+
+Passages:
+${chunks.map(formatPassage).join('\n\n')}`;
+            
+            const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+            const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+            
+            const completion = await openai.chat.completions.create({
+                model: model,
+                messages: [
+                    { role: 'system', content: 'You are an academic research assistant. You answer strictly from the supplied source passages and cite them.' },
+                    { role: 'user', content: prompt }
+                ],
+                response_format: { type: 'json_object' },
+                max_completion_tokens: 1500,
+                temperature: 0.2
+            });
+            
+            const content = completion.choices[0]?.message?.content || '{}';
+            let parsed;
+            try {
+                parsed = JSON.parse(content);
+            } catch (parseError) {
+                context.warn('[KB Ask] Model returned invalid JSON:', parseError.message);
+                parsed = { answer: content, citations: [] };
+            }
+            
+            const citations = buildCitations(parsed.citations, chunks);
+            context.log(`[KB Ask] Answer with ${citations.length} citations`);
+            
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    question: question,
+                    answer: parsed.answer || '',
+                    citations: citations,
+                    passages: chunks.map(toSearchResult),
+                    usage: completion.usage
+                })
+            };
+        } catch (error) {
+            context.error('[KB Ask] Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to answer question', details: error.message })
+            };
+        }
+    }
+});
@@ -0,0 +1,123 @@
+/**
+ * Maintenance Azure Functions
+ * Storage consistency checks across CosmosDB and Blob Storage
+ */
+
+const { app } = require('@azure/functions');
+const { queryItems } = require('../../shared/cosmosClient');
+const { listBlobs } = require('../../shared/blobClient');
+const { getReferenceBlobNames } = require('../../shared/referenceFiles');
+
+const CONTAINER_REFERENCES = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
+const CONTAINER_PAGES = process.env.COSMOSDB_CONTAINER_PAGES || 'pages';
+const CONTAINER_CHUNKS = process.env.COSMOSDB_CONTAINER_CHUNKS || 'chunks';
+const CONTAINER_FIGURES = process.env.COSMOSDB_CONTAINER_FIGURES || 'figures';
+const BLOB_CONTAINER_UPLOADS = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+const BLOB_CONTAINER_PAGES = process.env.BLOB_CONTAINER_PAGES || 'pages';
+
+// Count records per referenceId for references that no longer exist
+const findOrphanRecords = async (containerName, referenceIds) => {
+    const ids = await queryItems(containerName, {
+        query: 'SELECT DISTINCT VALUE c.referenceId FROM c'
+    });
+    const orphanIds = ids.filter(id => !referenceIds.has(id));
+
+    const orphans = [];
+    for (const referenceId of orphanIds) {
+        const [count] = await queryItems(containerName, {
+            query: 'SELECT VALUE COUNT(1) FROM c WHERE c.referenceId = @referenceId',
+            parameters: [{ name: '@referenceId', value: referenceId }]
+        });
+        orphans.push({ referenceId, count });
+    }
+    return orphans;
+};
+
+// GET /api/maintenance/orphans - Report blobs and KB records not linked to any reference
+app.http('FindOrphans', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'maintenance/orphans',
+    handler: async (request, context) => {
+        try {
+            // Uploads younger than this may belong to a reference that is still being created
+            const minAgeHours = parseFloat(request.query.get('minAgeHours') || '24');
+            const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+            // Trashed references still own their storage until purged
+            const references = await queryItems(CONTAINER_REFERENCES, {
+                query: 'SELECT c.id, c.files FROM c WHERE NOT IS_DEFINED(c.type) OR c.type != "dismissed"'
+            });
+            const referenceIds = new Set(references.map(ref => ref.id));
+            const referencedUploads = new Set(references.flatMap(getReferenceBlobNames));
+
+            context.log(`[Maintenance] Checking storage against ${references.length} references`);
+
+            const uploadBlobs = await listBlobs(BLOB_CONTAINER_UPLOADS);
+            const orphanUploads = uploadBlobs
+                .filter(blob => !referencedUploads.has(blob.name))
+                .filter(blob => !blob.lastModified || new Date(blob.lastModified).getTime() < cutoff)
+                .map(blob => ({ name: blob.name, size: blob.size, lastModified: blob.lastModified }));
+
+            const pageBlobs = await listBlobs(BLOB_CONTAINER_PAGES);
+            const orphanPageBlobs = {};
+            pageBlobs.forEach(blob => {
+                const referenceId = blob.name.split('/')[0];
+                if (referenceIds.has(referenceId)) return;
+                orphanPageBlobs[referenceId] = orphanPageBlobs[referenceId] || { referenceId, count: 0, size: 0 };
+                orphanPageBlobs[referenceId].count += 1;
+                orphanPageBlobs[referenceId].size += blob.size || 0;
+            });
+
+            const orphanPages = await findOrphanRecords(CONTAINER_PAGES, referenceIds);
+            const orphanChunks = await findOrphanRecords(CONTAINER_CHUNKS, referenceIds);
+            const orphanFigures = await findOrphanRecords(CONTAINER_FIGURES, referenceIds);
+
+            const report = {
+                dateGenerated: new Date().toISOString(),
+                referenceCount: references.length,
+                uploads: {
+                    container: BLOB_CONTAINER_UPLOADS,
+                    orphanCount: orphanUploads.length,
+                    orphanBytes: orphanUploads.reduce((sum, blob) => sum + (blob.size || 0), 0),
+                    blobs: orphanUploads
+                },
+                pageBlobs: {
+                    container: BLOB_CONTAINER_PAGES,
+                    orphanCount: Object.values(orphanPageBlobs).reduce((sum, entry) => sum + entry.count, 0),
+                    byReference: Object.values(orphanPageBlobs)
+                },
+                pageRecords: {
+                    container: CONTAINER_PAGES,
+                    orphanCount: orphanPages.reduce((sum, entry) => sum + entry.count, 0),
+                    byReference: orphanPages
+                },
+                chunkRecords: {
+                    container: CONTAINER_CHUNKS,
+                    orphanCount: orphanChunks.reduce((sum, entry) => sum + entry.count, 0),
+                    byReference: orphanChunks
+                },
+                figureRecords: {
+                    container: CONTAINER_FIGURES,
+                    orphanCount: orphanFigures.reduce((sum, entry) => sum + entry.count, 0),
+                    byReference: orphanFigures
+                }
+            };
+
+            context.log(`[Maintenance] Found ${report.uploads.orphanCount} orphan uploads, ${report.pageBlobs.orphanCount} orphan page blobs, ${report.pageRecords.orphanCount} orphan page records`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(report)
+            };
+        } catch (error) {
+            context.error('[Maintenance] Find Orphans Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to scan for orphans', details: error.message })
+            };
+        }
+    }
+});
@@ -1,5 +1,7 @@
 const { app } = require('@azure/functions');
 const { queryItems, getItem, upsertItem } = require('../../shared/cosmosClient');
+const { CROSSREF_API_URL, ARXIV_API_URL, CROSSREF_USER_AGENT, CROSSREF_TYPES, parseArxivEntries, formatCrossrefAuthors } = require('../../shared/scholarlyApi');
+const { tokenizeText } = require('../../shared/textTokens');
 const crypto = require('crypto');
 
 // Shortlist stored in CosmosDB analytics container
@@ -10,19 +12,6 @@ const SERPAPI_API_KEY = process.env.SERPAPI_API_KEY;
 
 const normalizeValue = (value) => (value || '').toString().trim().toLowerCase();
 
-const STOPWORDS = new Set([
-    'about', 'above', 'after', 'again', 'against', 'between', 'beyond', 'could', 'should', 'would',
-    'these', 'those', 'their', 'there', 'where', 'which', 'while', 'with', 'without', 'using',
-    'study', 'studies', 'paper', 'papers', 'research', 'analysis', 'review', 'approach', 'model',
-    'system', 'method', 'methods', 'results', 'effect', 'effects', 'based', 'towards', 'future'
-]);
-
-const tokenizeText = (text = '') => text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(token => token.length > 3 && !STOPWORDS.has(token));
-
 const decodeIdentifier = (value = '') => {
     try {
         return decodeURIComponent(value);
@@ -87,19 +76,6 @@ const isDismissedArticle = (article, dismissedDois, dismissedTitles) => {
     return false;
 };
 
-const extractTag = (entry, tag) => {
-    const regex = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i');
-    const match = entry.match(regex);
-    return match ? decodeXml(match[1].trim()) : '';
-};
-
-const decodeXml = (value) => (value || '')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
-
 const extractDoiFromUrl = (url = '') => {
     const match = url.match(/doi\.org\/([^?#]+)/i);
     return match ? match[1].trim() : '';
@@ -110,28 +86,6 @@ const parseYearFromText = (text = '') => {
     return match ? parseInt(match[0], 10) : null;
 };
 
-const parseArxivEntries = (xml) => {
-    const entries = xml.split('<entry>').slice(1);
-    return entries.map(entry => {
-        const title = extractTag(entry, 'title').replace(/\s+/g, ' ').trim();
-        const summary = extractTag(entry, 'summary').replace(/\s+/g, ' ').trim();
-        const published = extractTag(entry, 'published') || extractTag(entry, 'updated');
-        const id = extractTag(entry, 'id');
-        const doi = extractTag(entry, 'arxiv:doi');
-        const authors = Array.from(entry.matchAll(/<name>([^<]+)<\/name>/gi))
-            .map(match => decodeXml(match[1].trim()))
-            .join('; ');
-        return {
-            title,
-            summary,
-            published,
-            id,
-            doi,
-            authors
-        };
-    }).filter(entry => entry.title);
-};
-
 const loadDismissedSets = async (context) => {
     try {
         const dismissedItems = await queryItems(REFERENCES_CONTAINER, {
@@ -582,9 +536,9 @@ app.http('GetNewsreaderArticles', {
             // Search CrossRef
             for (const sq of searchQueries.slice(0, 8)) {
                 try {
-                    const crossrefUrl = `https://api.crossref.org/works?query=${encodeURIComponent(sq.query)}&rows=10&sort=published&order=desc&filter=type:journal-article,type:proceedings-article,from-pub-date:${fromDate}`;
+                    const crossrefUrl = `${CROSSREF_API_URL}/works?query=${encodeURIComponent(sq.query)}&rows=10&sort=published&order=desc&filter=type:journal-article,type:proceedings-article,from-pub-date:${fromDate}`;
                     const response = await fetch(crossrefUrl, { 
-                        headers: { 'User-Agent': 'PhD-Helper/1.0 (mailto:research@example.com)' }
+                        headers: { 'User-Agent': CROSSREF_USER_AGENT }
                     });
                     if (!response.ok) continue;
                     const data = await response.json();
@@ -602,16 +556,9 @@ app.http('GetNewsreaderArticles', {
                         const pubDate = getPublishedDate(item);
                         const isNew = pubDate && pubDate >= ninetyDaysAgo;
                         
-                        let authors = '';
-                        if (item.author?.length > 0) {
-                            authors = item.author
-                                .filter(a => a.family || a.name)
-                                .map(a => a.family && a.given ? `${a.family}, ${a.given}` : a.family || a.name)
-                                .join('; ');
-                        }
+                        const authors = formatCrossrefAuthors(item);
                         
                         const source = item['container-title']?.[0] || item.publisher || '';
-                        const typeMap = { 'journal-article': 'Journal Article', 'book-chapter': 'Book Section', 'proceedings-article': 'Conference Paper' };
                         
                         allArticles.push({
                             doi,
@@ -619,7 +566,7 @@ app.http('GetNewsreaderArticles', {
                             authors: authors || 'Unknown Author',
                             year: String(year),
                             source,
-                            type: typeMap[item.type] || 'Article',
+                            type: CROSSREF_TYPES[item.type] || 'Article',
                             abstract: item.abstract?.replace(/<[^>]*>/g, '').substring(0, 1000) || '',
                             url: item.URL || (doi ? `https://doi.org/${doi}` : ''),
                             category: sq.category,
@@ -726,7 +673,7 @@ app.http('GetNewsreaderArticles', {
             for (const sq of searchQueries.slice(0, 6)) {
                 try {
                     const arxivQuery = encodeURIComponent(`${sq.query} AND submittedDate:[${fromDate.replace(/-/g, '')}0000 TO ${now.toISOString().slice(0,10).replace(/-/g, '')}2359]`);
-                    const arxivUrl = `https://export.arxiv.org/api/query?search_query=all:${arxivQuery}&start=0&max_results=8&sortBy=submittedDate&sortOrder=descending`;
+                    const arxivUrl = `${ARXIV_API_URL}/query?search_query=all:${arxivQuery}&start=0&max_results=8&sortBy=submittedDate&sortOrder=descending`;
                     const response = await fetch(arxivUrl, { headers: { 'User-Agent': 'PhD-Helper/1.0' } });
                     if (!response.ok) continue;
                     const xml = await response.text();
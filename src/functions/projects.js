@@ -1,5 +1,6 @@
 const { app } = require('@azure/functions');
-const { queryItems, upsertItem, deleteItem } = require('../../shared/cosmosClient');
+const { queryItems, getItem, upsertItem, deleteItem, replaceItem, isPreconditionFailed } = require('../../shared/cosmosClient');
+const { readIfMatch, etagMatches, preconditionFailed } = require('../../shared/etag');
 
 const CONTAINER_NAME = process.env.COSMOSDB_CONTAINER_PROJECTS || 'projects';
 
@@ -23,6 +24,26 @@ function toClientItem(item) {
     };
 }
 
+// Upsert, or with If-Match only replace the version the client loaded (412 with the current one otherwise)
+async function saveItem(request, item, label) {
+    const ifMatch = readIfMatch(request);
+    if (!ifMatch) {
+        return { saved: await upsertItem(CONTAINER_NAME, item) };
+    }
+
+    const message = `${label} was modified since it was loaded`;
+    const existing = await getItem(CONTAINER_NAME, item.id, item.id);
+    if (!etagMatches(ifMatch, existing)) {
+        return { conflict: preconditionFailed(toClientItem(existing), message) };
+    }
+    try {
+        return { saved: await replaceItem(CONTAINER_NAME, item.id, item.id, item, { ifMatch: existing._etag }) };
+    } catch (error) {
+        if (!isPreconditionFailed(error)) throw error;
+        return { conflict: preconditionFailed(toClientItem(await getItem(CONTAINER_NAME, item.id, item.id)), message) };
+    }
+}
+
 // GET /api/projects - Load all project planner data
 app.http('GetProjects', {
     methods: ['GET'],
@@ -56,7 +77,7 @@ app.http('GetProjects', {
     }
 });
 
-// POST /api/projects/task - Create or update a task
+// POST /api/projects/task - Create or update a task (If-Match: <_etag> guards against overwriting newer edits)
 app.http('UpsertProjectTask', {
     methods: ['POST'],
     authLevel: 'anonymous',
@@ -83,11 +104,12 @@ app.http('UpsertProjectTask', {
                 createdAt: body.createdAt || new Date().toISOString()
             };
 
-            const saved = await upsertItem(CONTAINER_NAME, task);
+            const { saved, conflict } = await saveItem(request, task, 'Task');
+            if (conflict) return conflict;
 
             return {
                 status: 200,
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ETag: saved._etag },
                 body: JSON.stringify({ success: true, task: toClientItem(saved) })
             };
         } catch (error) {
@@ -135,7 +157,7 @@ app.http('DeleteProjectTask', {
     }
 });
 
-// POST /api/projects/subproject - Create or update a subproject
+// POST /api/projects/subproject - Create or update a subproject (If-Match: <_etag> as for tasks)
 app.http('UpsertSubProject', {
     methods: ['POST'],
     authLevel: 'anonymous',
@@ -162,11 +184,12 @@ app.http('UpsertSubProject', {
                 createdAt: body.createdAt || new Date().toISOString()
             };
 
-            const saved = await upsertItem(CONTAINER_NAME, subProject);
+            const { saved, conflict } = await saveItem(request, subProject, 'Subproject');
+            if (conflict) return conflict;
 
             return {
                 status: 200,
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ETag: saved._etag },
                 body: JSON.stringify({ success: true, subProject: toClientItem(saved) })
             };
         } catch (error) {
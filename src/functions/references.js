@@ -1,12 +1,61 @@
 const { app } = require('@azure/functions');
-const { queryItems, createItem, getItem, upsertItem, deleteItem } = require('../../shared/cosmosClient');
+const { queryItems, queryPage, createItem, getItem, upsertItem, deleteItem, replaceItem, bulkItems, isPreconditionFailed } = require('../../shared/cosmosClient');
+const { deleteBlob } = require('../../shared/blobClient');
+const { deleteReferencePages } = require('../../shared/kbPages');
+const { getReferenceBlobNames } = require('../../shared/referenceFiles');
+const {
+    BIBLIOGRAPHY_STYLES,
+    detectBibliographyFormat,
+    parseBibliography,
+    formatBibliography,
+    toBibtex,
+    toRis,
+    toCslJson
+} = require('../../shared/bibliography');
+const { ACTIVE_REFERENCE_CONDITION, parseReferenceFilters, buildReferenceQuery } = require('../../shared/referenceQuery');
+const { DEFAULT_THRESHOLD, findDuplicateClusters, mergeReferenceRecords } = require('../../shared/referenceDuplicates');
+const { normalizeReference, validateReference } = require('../../shared/referenceSchema');
+const { readIfMatch, etagMatches, preconditionFailed } = require('../../shared/etag');
+const { listCollections, resolveCollectionScope, inCollections } = require('../../shared/collections');
+const { diffReference, recordRevision, listRevisions, rollBackTo, deleteRevisionsForReference } = require('../../shared/referenceRevisions');
+const { reassignAnnotations, deleteAnnotationsForReference } = require('../../shared/annotations');
+const { sasExpiry, withSignedFiles } = require('../../shared/signedUrls');
 
 const CONTAINER_NAME = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
 const SHORTLIST_CONTAINER = process.env.COSMOSDB_CONTAINER_ANALYTICS || 'analytics';
 const SHORTLIST_ID = 'shortlist';
+const LANDSCAPE_DOC_ID = 'analytics_landscape';
+const BLOB_CONTAINER_UPLOADS = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+const TRASH_RETENTION_DAYS = parseInt(process.env.REFERENCE_TRASH_RETENTION_DAYS || '30', 10);
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BULK_ITEMS = 500;
+// Revision origins a client may set on PUT; merge and restore are recorded by their endpoints
+const UPDATE_ORIGINS = ['manual', 'ai', 'import'];
+const IMPORT_FIELDS = ['title', 'authors', 'year', 'source', 'type', 'doi', 'keywords', 'url', 'summary'];
+
+// Citation export formats: content type and download extension
+const EXPORT_FORMATS = {
+    bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib', write: toBibtex },
+    ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris', write: toRis },
+    csljson: { contentType: 'application/vnd.citationstyles.csl+json', extension: 'json', write: (refs) => JSON.stringify(toCslJson(refs), null, 2) }
+};
 
 const normalizeValue = (value) => (value || '').toString().trim().toLowerCase();
 
+// Tags and project links may be stored as arrays or comma-separated strings
+const toValueList = (value) => (Array.isArray(value) ? value : (value ? value.toString().split(',') : []))
+    .map(normalizeValue)
+    .filter(Boolean);
+
+// Same, keeping the stored spelling
+const toList = (value) => (Array.isArray(value) ? value : (value ? value.toString().split(',') : []))
+    .map(item => item.toString().trim())
+    .filter(Boolean);
+
+const isEmptyField = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
 const getReferenceKeys = (reference) => {
     const doiKey = normalizeValue(reference?.doi);
     const titleKey = normalizeValue(reference?.title);
@@ -33,7 +82,83 @@ const removeFromShortlistByKeys = async (doiKey, titleKey, context) => {
     }
 };
 
-// GET /api/references - Get all references
+const removeFromLandscape = async (referenceId, context) => {
+    const landscape = await getItem(SHORTLIST_CONTAINER, LANDSCAPE_DOC_ID, LANDSCAPE_DOC_ID);
+    if (!landscape || !Array.isArray(landscape.references)) return;
+
+    const filtered = landscape.references.filter(ref => ref.id !== referenceId);
+    if (filtered.length !== landscape.references.length) {
+        landscape.references = filtered;
+        landscape.referenceCount = filtered.length;
+        await upsertItem(SHORTLIST_CONTAINER, landscape);
+        context?.log('Removed reference from analytics landscape');
+    }
+};
+
+// Delete uploaded files unless another reference still points at the same blob
+const deleteReferenceFiles = async (reference, context) => {
+    let deleted = 0;
+    for (const blobName of getReferenceBlobNames(reference)) {
+        const sharedWith = await queryItems(CONTAINER_NAME, {
+            query: 'SELECT VALUE c.id FROM c JOIN f IN c.files WHERE c.id != @id AND (f.blobName = @blobName OR ENDSWITH(f.url, @suffix))',
+            parameters: [
+                { name: '@id', value: reference.id },
+                { name: '@blobName', value: blobName },
+                { name: '@suffix', value: `/${encodeURI(blobName)}` }
+            ]
+        });
+        if (sharedWith.length > 0) continue;
+
+        try {
+            await deleteBlob(BLOB_CONTAINER_UPLOADS, blobName);
+            deleted += 1;
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+    context?.log(`Deleted ${deleted} uploaded files for reference ${reference.id}`);
+    return deleted;
+};
+
+// Soft delete: keep the document, flagged for purging after the retention period
+const toTrash = (reference) => {
+    const now = new Date();
+    return {
+        ...reference,
+        deleted: true,
+        dateDeleted: now.toISOString(),
+        purgeAfter: new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+};
+
+// Remove a reference together with its files, KB pages and derived entries
+const cascadeDeleteReference = async (reference, context) => {
+    const files = await deleteReferenceFiles(reference, context);
+    const kb = await deleteReferencePages(reference.id);
+    const revisions = await deleteRevisionsForReference(reference.id);
+    const annotations = await deleteAnnotationsForReference(reference.id);
+
+    const { doiKey, titleKey } = getReferenceKeys(reference);
+    await removeFromShortlistByKeys(doiKey, titleKey, context);
+    await removeFromLandscape(reference.id, context);
+
+    await deleteItem(CONTAINER_NAME, reference.id, reference.id);
+
+    return {
+        files: files,
+        pageBlobs: kb.blobs,
+        pages: kb.pages,
+        figures: kb.figures,
+        chunks: kb.chunks,
+        revisions,
+        annotations
+    };
+};
+
+// GET /api/references - Search, filter and sort references
+// ?q=&yearFrom=&yearTo=&type=&discipline=&tags=a,b&knowledgeStatus=&collection=&recursive=true&sort=&order=&limit=&continuationToken=
+// With limit or continuationToken the response is a page { items, continuationToken, hasMore };
+// without them all matching references are returned as an array.
 app.http('GetReferences', {
     methods: ['GET'],
     authLevel: 'anonymous',
@@ -41,19 +166,63 @@ app.http('GetReferences', {
     handler: async (request, context) => {
         try {
             context.log('Loading references from CosmosDB');
-            
-            const querySpec = {
-                query: 'SELECT * FROM c WHERE (NOT IS_DEFINED(c.dismissed) OR c.dismissed != true) ORDER BY c._ts DESC'
-            };
-            
-            const references = await queryItems(CONTAINER_NAME, querySpec);
-            
-            context.log(`Loaded ${references.length} references`);
-            
+
+            const filters = parseReferenceFilters(request.query);
+            if (filters.collection) {
+                filters.collection = await resolveCollectionScope(filters.collection, { recursive: filters.recursive === 'true' });
+                if (!filters.collection) {
+                    return {
+                        status: 404,
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ error: 'Collection not found' })
+                    };
+                }
+            }
+
+            let querySpec;
+            try {
+                querySpec = buildReferenceQuery(filters);
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: validationError.message })
+                };
+            }
+
+            const limitParam = request.query.get('limit');
+            const continuationToken = request.query.get('continuationToken');
+
+            // Files are in a private container; each gets a short-lived read link
+            const expiresOn = sasExpiry();
+            const signAll = (references) => Promise.all(references.map(ref => withSignedFiles(ref, expiresOn)));
+
+            if (!limitParam && !continuationToken) {
+                const references = await signAll(await queryItems(CONTAINER_NAME, querySpec));
+                context.log(`Loaded ${references.length} references`);
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(references)
+                };
+            }
+
+            const limit = Math.min(Math.max(parseInt(limitParam || DEFAULT_PAGE_SIZE, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+            const page = await queryPage(CONTAINER_NAME, querySpec, { maxItemCount: limit, continuationToken });
+            page.items = await signAll(page.items);
+
+            context.log(`Loaded page of ${page.items.length} references`);
+
             return {
                 status: 200,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(references)
+                body: JSON.stringify({
+                    items: page.items,
+                    count: page.items.length,
+                    continuationToken: page.continuationToken,
+                    hasMore: page.hasMore
+                })
             };
         } catch (error) {
             context.error('Get References Error:', error);
@@ -66,6 +235,91 @@ app.http('GetReferences', {
     }
 });
 
+// GET /api/references/export?format=bibtex|ris|csljson|bibliography&style=apa|chicago|harvard&tag=&project=&ids=a,b
+// &collection=<id>&recursive=true scopes the export to a collection (and its subcollections)
+app.http('ExportReferences', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/export',
+    handler: async (request, context) => {
+        try {
+            const format = normalizeValue(request.query.get('format') || 'bibtex');
+            const style = normalizeValue(request.query.get('style') || 'apa');
+            const tag = normalizeValue(request.query.get('tag'));
+            const project = normalizeValue(request.query.get('project'));
+            const ids = toValueList(request.query.get('ids'));
+
+            if (format !== 'bibliography' && !EXPORT_FORMATS[format]) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Invalid format. Use: bibtex, ris, csljson or bibliography' })
+                };
+            }
+            if (format === 'bibliography' && !BIBLIOGRAPHY_STYLES.includes(style)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `Invalid style. Use: ${BIBLIOGRAPHY_STYLES.join(', ')}` })
+                };
+            }
+
+            let collectionIds = null;
+            const collection = request.query.get('collection');
+            if (collection) {
+                collectionIds = await resolveCollectionScope(collection, { recursive: request.query.get('recursive') === 'true' });
+                if (!collectionIds) {
+                    return {
+                        status: 404,
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ error: 'Collection not found' })
+                    };
+                }
+            }
+
+            const all = await queryItems(CONTAINER_NAME, {
+                query: `SELECT * FROM c WHERE ${ACTIVE_REFERENCE_CONDITION}`
+            });
+
+            const references = all.filter(ref => {
+                if (ids.length > 0 && !ids.includes(normalizeValue(ref.id))) return false;
+                if (collectionIds && !inCollections(ref, collectionIds)) return false;
+                if (tag && !toValueList(ref.tags).includes(tag)) return false;
+                if (project && !toValueList(ref.projects ?? ref.project).includes(project)) return false;
+                return true;
+            });
+
+            context.log(`Exporting ${references.length} references as ${format === 'bibliography' ? style : format}`);
+
+            if (format === 'bibliography') {
+                const entries = formatBibliography(references, style);
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ style, count: entries.length, entries, text: entries.join('\n\n') })
+                };
+            }
+
+            const exporter = EXPORT_FORMATS[format];
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': exporter.contentType,
+                    'Content-Disposition': `attachment; filename="references.${exporter.extension}"`
+                },
+                body: exporter.write(references)
+            };
+        } catch (error) {
+            context.error('Export References Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to export references', details: error.message })
+            };
+        }
+    }
+});
+
 // POST /api/references - Create a new reference
 app.http('CreateReference', {
     methods: ['POST'],
@@ -73,7 +327,17 @@ app.http('CreateReference', {
     route: 'references',
     handler: async (request, context) => {
         try {
-            const body = await request.json();
+            let body;
+            try {
+                body = validateReference(await request.json());
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: validationError.message, fields: validationError.fields })
+                };
+            }
             
             const newReference = {
                 id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -91,7 +355,7 @@ app.http('CreateReference', {
             return {
                 status: 201,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(created)
+                body: JSON.stringify(await withSignedFiles(created))
             };
         } catch (error) {
             context.error('Create Reference Error:', error);
@@ -104,7 +368,483 @@ app.http('CreateReference', {
     }
 });
 
-// PUT /api/references/{id} - Update a reference
+// POST /api/references/import?format=bibtex|ris - Import a BibTeX or RIS export
+// Body: raw file text, or JSON { content } / { fileName, fileData (base64) }
+app.http('ImportReferences', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/import',
+    handler: async (request, context) => {
+        try {
+            let content = '';
+            let fileName = '';
+            let format = request.query.get('format');
+
+            if ((request.headers.get('content-type') || '').includes('application/json')) {
+                const body = await request.json();
+                fileName = body.fileName || '';
+                format = format || body.format;
+                content = body.content || (body.fileData ? Buffer.from(body.fileData, 'base64').toString('utf8') : '');
+            } else {
+                content = await request.text();
+            }
+
+            // Strip a UTF-8 byte order mark left by some exporters
+            content = content.replace(/^\uFEFF/, '');
+            format = (format || detectBibliographyFormat(content, fileName) || '').toLowerCase();
+
+            if (!content.trim()) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'No file content provided' })
+                };
+            }
+            if (format !== 'bibtex' && format !== 'ris') {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Unsupported format. Use: bibtex or ris' })
+                };
+            }
+
+            const entries = parseBibliography(content, format);
+            context.log(`Importing ${entries.length} ${format} entries`);
+
+            const existing = await queryItems(CONTAINER_NAME, {
+                query: `SELECT * FROM c WHERE ${ACTIVE_REFERENCE_CONDITION}`
+            });
+            const byDoi = new Map();
+            const byTitle = new Map();
+            const remember = (reference) => {
+                const { doiKey, titleKey } = getReferenceKeys(reference);
+                if (doiKey) byDoi.set(doiKey, reference);
+                if (titleKey) byTitle.set(titleKey, reference);
+            };
+            existing.forEach(remember);
+
+            const report = [];
+            for (const entry of entries) {
+                if (entry.error) {
+                    report.push({ key: entry.key, status: 'skipped', reason: `Parse error: ${entry.error}` });
+                    continue;
+                }
+
+                let imported;
+                try {
+                    imported = validateReference(entry.reference, { partial: true });
+                } catch (validationError) {
+                    if (validationError.status !== 400) throw validationError;
+                    report.push({ key: entry.key, status: 'skipped', reason: validationError.message });
+                    continue;
+                }
+                const { doiKey, titleKey } = getReferenceKeys(imported);
+                if (!doiKey && !titleKey) {
+                    report.push({ key: entry.key, status: 'skipped', reason: 'Entry has no title or DOI' });
+                    continue;
+                }
+
+                try {
+                    const match = (doiKey && byDoi.get(doiKey)) || (titleKey && byTitle.get(titleKey));
+
+                    if (match) {
+                        // Only fill fields the existing reference is missing
+                        const filled = IMPORT_FIELDS.filter(field => !isEmptyField(imported[field]) && isEmptyField(match[field]));
+                        if (filled.length === 0) {
+                            report.push({ key: entry.key, status: 'skipped', id: match.id, title: match.title, reason: 'Duplicate of existing reference' });
+                            continue;
+                        }
+
+                        const merged = { ...match, dateModified: new Date().toISOString() };
+                        filled.forEach(field => {
+                            merged[field] = imported[field];
+                        });
+                        const saved = await upsertItem(CONTAINER_NAME, merged);
+                        await recordRevision(saved.id, match, saved, 'import', { importedFrom: format });
+                        remember(saved);
+                        report.push({ key: entry.key, status: 'merged', id: saved.id, title: saved.title, fields: filled });
+                        continue;
+                    }
+
+                    const newReference = {
+                        id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                        ...Object.fromEntries(IMPORT_FIELDS.filter(field => !isEmptyField(imported[field])).map(field => [field, imported[field]])),
+                        importedFrom: format,
+                        dateAdded: new Date().toISOString()
+                    };
+                    const created = await createItem(CONTAINER_NAME, newReference);
+                    remember(created);
+                    await removeFromShortlistByKeys(doiKey, titleKey, context);
+                    report.push({ key: entry.key, status: 'created', id: created.id, title: created.title });
+                } catch (entryError) {
+                    context.error(`Import entry ${entry.key} failed:`, entryError.message);
+                    report.push({ key: entry.key, status: 'skipped', reason: entryError.message });
+                }
+            }
+
+            const summary = { total: report.length, created: 0, merged: 0, skipped: 0 };
+            report.forEach(item => {
+                summary[item.status] += 1;
+            });
+
+            context.log(`Import finished: ${summary.created} created, ${summary.merged} merged, ${summary.skipped} skipped`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, format, summary, entries: report })
+            };
+        } catch (error) {
+            context.error('Import References Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to import references', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/bulk - Apply one change set to many references
+// Body: { ids: [] | filter: { q, tags, collection, ... as for GET /api/references },
+//         patch?: { field: value }, addTags?: [], removeTags?: [], addCollections?: [], removeCollections?: [],
+//         delete?: true (to the trash; with permanent: true files and KB data are removed too), dryRun?: true }
+// Returns per-item results; an item edited since it was read reports "conflict" and is left alone.
+app.http('BulkUpdateReferences', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/bulk',
+    handler: async (request, context) => {
+        try {
+            const body = await request.json();
+            const badRequest = (message, extra = {}) => ({
+                status: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: message, ...extra })
+            });
+
+            const hasIds = Array.isArray(body.ids);
+            const hasFilter = body.filter && typeof body.filter === 'object';
+            if (hasIds === Boolean(hasFilter)) {
+                return badRequest('Provide either ids or filter');
+            }
+
+            const removeTags = toValueList(body.removeTags);
+            const isDelete = body.delete === true;
+
+            let patch = {};
+            let addTags = [];
+            let addCollections = [];
+            let removeCollections = [];
+            try {
+                if (body.patch) {
+                    const { id, ...fields } = body.patch;
+                    patch = validateReference(fields, { partial: true });
+                }
+                // Lists go through the schema so they are stored like any other edit
+                if (body.addTags) addTags = validateReference({ tags: body.addTags }, { partial: true }).tags;
+                if (body.addCollections) addCollections = validateReference({ collections: body.addCollections }, { partial: true }).collections;
+                if (body.removeCollections) removeCollections = validateReference({ collections: body.removeCollections }, { partial: true }).collections;
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return badRequest(validationError.message, { fields: validationError.fields });
+            }
+
+            const hasChanges = Object.keys(patch).length + addTags.length + removeTags.length +
+                addCollections.length + removeCollections.length > 0;
+            if (isDelete === hasChanges) {
+                return badRequest('Provide either delete: true or at least one of patch, addTags, removeTags, addCollections, removeCollections');
+            }
+
+            if (addCollections.length + removeCollections.length > 0) {
+                const known = new Set((await listCollections()).map(collection => collection.id));
+                const unknown = [...addCollections, ...removeCollections].filter(id => !known.has(id));
+                if (unknown.length > 0) return badRequest('Collection not found', { ids: unknown });
+            }
+
+            // Resolve the targets
+            let targets;
+            const results = [];
+            if (hasIds) {
+                const ids = Array.from(new Set(body.ids.map(String)));
+                if (ids.length === 0 || ids.length > MAX_BULK_ITEMS) {
+                    return badRequest(`ids must list between 1 and ${MAX_BULK_ITEMS} references`);
+                }
+                targets = await queryItems(CONTAINER_NAME, {
+                    query: `SELECT * FROM c WHERE ARRAY_CONTAINS(@ids, c.id) AND ${ACTIVE_REFERENCE_CONDITION}`,
+                    parameters: [{ name: '@ids', value: ids }]
+                });
+                const found = new Set(targets.map(ref => ref.id));
+                ids.filter(id => !found.has(id)).forEach(id => results.push({ id, status: 'not-found' }));
+            } else {
+                const filters = parseReferenceFilters(body.filter);
+                if (filters.collection) {
+                    filters.collection = await resolveCollectionScope(filters.collection, { recursive: String(filters.recursive) === 'true' });
+                    if (!filters.collection) return badRequest('Collection not found');
+                }
+                try {
+                    targets = await queryItems(CONTAINER_NAME, buildReferenceQuery(filters));
+                } catch (validationError) {
+                    if (validationError.status !== 400) throw validationError;
+                    return badRequest(validationError.message);
+                }
+                if (targets.length > MAX_BULK_ITEMS) {
+                    return badRequest(`Filter matches ${targets.length} references; narrow it to at most ${MAX_BULK_ITEMS}`);
+                }
+            }
+
+            if (body.dryRun === true) {
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        dryRun: true,
+                        count: targets.length,
+                        references: targets.map(ref => ({ id: ref.id, title: ref.title })),
+                        notFound: results.map(result => result.id)
+                    })
+                };
+            }
+
+            if (isDelete && body.permanent === true) {
+                // Cascading deletes touch blobs and other containers, so they run one by one
+                for (const reference of targets) {
+                    try {
+                        const deleted = await cascadeDeleteReference(reference, context);
+                        results.push({ id: reference.id, status: 'deleted', deleted });
+                    } catch (itemError) {
+                        context.error(`Bulk delete failed for ${reference.id}:`, itemError.message);
+                        results.push({ id: reference.id, status: 'error', error: itemError.message });
+                    }
+                }
+            } else {
+                const now = new Date().toISOString();
+                const pending = [];
+                targets.forEach(reference => {
+                    let updated;
+                    if (isDelete) {
+                        updated = toTrash(reference);
+                    } else {
+                        updated = { ...reference, ...patch };
+                        if (addTags.length + removeTags.length > 0) {
+                            const tags = normalizeReference({ tags: [...toList(updated.tags), ...addTags] }, { partial: true }).reference.tags;
+                            updated.tags = tags.filter(tag => !removeTags.includes(normalizeValue(tag)));
+                        }
+                        if (addCollections.length + removeCollections.length > 0) {
+                            updated.collections = Array.from(new Set([...toList(updated.collections), ...addCollections]))
+                                .filter(id => !removeCollections.includes(id));
+                        }
+                        if (diffReference(reference, updated).length === 0) {
+                            results.push({ id: reference.id, status: 'unchanged' });
+                            return;
+                        }
+                        updated.dateModified = now;
+                    }
+                    pending.push({ before: reference, updated });
+                });
+
+                const responses = await bulkItems(CONTAINER_NAME, pending.map(({ updated }) => ({
+                    operationType: 'Replace',
+                    id: updated.id,
+                    partitionKey: updated.id,
+                    ifMatch: updated._etag,
+                    resourceBody: updated
+                })));
+
+                for (let i = 0; i < pending.length; i++) {
+                    const { before, updated } = pending[i];
+                    const statusCode = responses[i]?.statusCode;
+                    if (statusCode >= 200 && statusCode < 300) {
+                        if (!isDelete) await recordRevision(updated.id, before, updated, 'manual', { bulk: true });
+                        results.push({ id: updated.id, status: isDelete ? 'trashed' : 'updated' });
+                    } else if (statusCode === 412) {
+                        results.push({ id: updated.id, status: 'conflict', error: 'Reference was modified during the bulk update' });
+                    } else {
+                        results.push({ id: updated.id, status: 'error', error: `Cosmos status ${statusCode}` });
+                    }
+                }
+
+                if (patch.title !== undefined || patch.doi !== undefined) {
+                    for (const { updated } of pending) {
+                        const { doiKey, titleKey } = getReferenceKeys(updated);
+                        await removeFromShortlistByKeys(doiKey, titleKey, context);
+                    }
+                }
+            }
+
+            const summary = { total: results.length };
+            results.forEach(result => {
+                summary[result.status] = (summary[result.status] || 0) + 1;
+            });
+
+            context.log(`Bulk reference update: ${JSON.stringify(summary)}`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, summary, results })
+            };
+        } catch (error) {
+            context.error('Bulk Update References Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to apply bulk update', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/references/duplicates?threshold=0.75 - Clusters of likely duplicate references
+app.http('FindDuplicateReferences', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/duplicates',
+    handler: async (request, context) => {
+        try {
+            const threshold = parseFloat(request.query.get('threshold') || DEFAULT_THRESHOLD);
+            if (Number.isNaN(threshold) || threshold <= 0 || threshold > 1) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'threshold must be a number between 0 and 1' })
+                };
+            }
+
+            const references = await queryItems(CONTAINER_NAME, {
+                query: `SELECT c.id, c.title, c.authors, c.year, c.doi, c.source, c.type, c.url, c.summary, c.discipline, c.notes, c.files, c.ref_knowledge_status, c.dateAdded FROM c WHERE ${ACTIVE_REFERENCE_CONDITION}`
+            });
+            const clusters = findDuplicateClusters(references, { threshold });
+
+            context.log(`Found ${clusters.length} duplicate clusters in ${references.length} references`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    threshold,
+                    referenceCount: references.length,
+                    clusterCount: clusters.length,
+                    clusters
+                })
+            };
+        } catch (error) {
+            context.error('Find Duplicate References Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to find duplicate references', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/merge - Merge duplicates into one reference
+// Body: { primaryId, duplicateIds: [], fieldSources?: { field: referenceId } }
+// The duplicates are replaced by stubs { id, mergedInto } that redirect to the primary.
+app.http('MergeReferences', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/merge',
+    handler: async (request, context) => {
+        try {
+            const body = await request.json();
+            const primaryId = body.primaryId;
+            const duplicateIds = Array.from(new Set(Array.isArray(body.duplicateIds) ? body.duplicateIds : []))
+                .filter(id => id && id !== primaryId);
+
+            if (!primaryId || duplicateIds.length === 0) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'primaryId and a non-empty duplicateIds array are required' })
+                };
+            }
+
+            const records = await Promise.all([primaryId, ...duplicateIds].map(id => getItem(CONTAINER_NAME, id, id)));
+            const missing = [primaryId, ...duplicateIds].filter((id, i) => !records[i]);
+            if (missing.length > 0) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found', ids: missing })
+                };
+            }
+            const unavailable = records.filter(ref => ref.mergedInto || ref.deleted === true);
+            if (unavailable.length > 0) {
+                return {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        error: 'References already merged or in the trash cannot be merged',
+                        ids: unavailable.map(ref => ref.id)
+                    })
+                };
+            }
+
+            const [primary, ...duplicates] = records;
+            let merged;
+            try {
+                // Older records may predate the schema; keep values that do not normalize
+                merged = normalizeReference(mergeReferenceRecords(primary, duplicates, body.fieldSources || {}), { partial: true }).reference;
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: validationError.message })
+                };
+            }
+
+            const now = new Date().toISOString();
+            const updated = await upsertItem(CONTAINER_NAME, { ...merged, dateModified: now });
+            await recordRevision(primaryId, primary, updated, 'merge', { mergedIds: duplicateIds });
+
+            // Files now belong to the primary; KB data of the duplicates is rebuilt from there
+            const removed = [];
+            for (const duplicate of duplicates) {
+                const kb = await deleteReferencePages(duplicate.id);
+                await removeFromLandscape(duplicate.id, context);
+                await upsertItem(CONTAINER_NAME, {
+                    id: duplicate.id,
+                    mergedInto: primaryId,
+                    dateMerged: now
+                });
+                removed.push({ id: duplicate.id, pages: kb.pages, figures: kb.figures, chunks: kb.chunks });
+            }
+
+            // Notes and highlights follow the record too
+            const annotations = await reassignAnnotations(duplicateIds, primaryId);
+
+            // Stubs of earlier merges follow their record to the new primary
+            const earlierStubs = await queryItems(CONTAINER_NAME, {
+                query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(@ids, c.mergedInto)',
+                parameters: [{ name: '@ids', value: duplicateIds }]
+            });
+            for (const stub of earlierStubs) {
+                await upsertItem(CONTAINER_NAME, { ...stub, mergedInto: primaryId });
+            }
+
+            context.log(`Merged ${duplicates.length} references into ${primaryId}`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reference: await withSignedFiles(updated), merged: removed, annotations })
+            };
+        } catch (error) {
+            context.error('Merge References Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to merge references', details: error.message })
+            };
+        }
+    }
+});
+
+// PUT /api/references/{id}?origin=manual|ai|import - Update a reference (the change is kept as a revision)
+// With If-Match: <_etag> the update only applies to that version; otherwise 412 with the current one.
 app.http('UpdateReference', {
     methods: ['PUT'],
     authLevel: 'anonymous',
@@ -112,7 +852,16 @@ app.http('UpdateReference', {
     handler: async (request, context) => {
         try {
             const id = request.params.id;
-            const body = await request.json();
+            const ifMatch = readIfMatch(request);
+            const origin = request.query.get('origin') || 'manual';
+            if (!UPDATE_ORIGINS.includes(origin)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `Invalid origin. Use: ${UPDATE_ORIGINS.join(', ')}` })
+                };
+            }
+            const data = await request.json();
             
             const existing = await getItem(CONTAINER_NAME, id, id);
             if (!existing) {
@@ -122,6 +871,32 @@ app.http('UpdateReference', {
                     body: JSON.stringify({ error: 'Reference not found' })
                 };
             }
+            if (existing.mergedInto) {
+                return {
+                    status: 308,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Location: `/api/references/${encodeURIComponent(existing.mergedInto)}`
+                    },
+                    body: JSON.stringify({ error: 'Reference was merged into another reference', mergedInto: existing.mergedInto })
+                };
+            }
+            
+            // Full-document saves send legacy values back untouched; only fields that changed are validated
+            let body;
+            try {
+                body = validateReference(data, { partial: true, existing });
+            } catch (validationError) {
+                if (validationError.status !== 400) throw validationError;
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: validationError.message, fields: validationError.fields })
+                };
+            }
+            if (!etagMatches(ifMatch, existing)) {
+                return preconditionFailed(existing, 'Reference was modified since it was loaded');
+            }
             
             const updatedReference = {
                 ...existing,
@@ -130,7 +905,17 @@ app.http('UpdateReference', {
                 dateModified: new Date().toISOString()
             };
             
-            const updated = await upsertItem(CONTAINER_NAME, updatedReference);
+            let updated;
+            try {
+                updated = ifMatch
+                    ? await replaceItem(CONTAINER_NAME, id, id, updatedReference, { ifMatch: existing._etag })
+                    : await upsertItem(CONTAINER_NAME, updatedReference);
+            } catch (writeError) {
+                // Another write landed between our read and replace
+                if (!isPreconditionFailed(writeError)) throw writeError;
+                return preconditionFailed(await getItem(CONTAINER_NAME, id, id), 'Reference was modified since it was loaded');
+            }
+            await recordRevision(id, existing, updated, origin);
 
             const existingKeys = getReferenceKeys(existing);
             const updatedKeys = getReferenceKeys(updatedReference);
@@ -141,8 +926,8 @@ app.http('UpdateReference', {
             
             return {
                 status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updated)
+                headers: { 'Content-Type': 'application/json', ETag: updated._etag },
+                body: JSON.stringify(await withSignedFiles(updated))
             };
         } catch (error) {
             context.error('Update Reference Error:', error);
@@ -155,7 +940,85 @@ app.http('UpdateReference', {
     }
 });
 
-// DELETE /api/references/{id} - Delete a reference
+// GET /api/references/{id}/revisions - Revision history of a reference, newest first
+app.http('GetReferenceRevisions', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/revisions',
+    handler: async (request, context) => {
+        try {
+            const id = request.params.id;
+            const revisions = await listRevisions(id);
+            
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(revisions)
+            };
+        } catch (error) {
+            context.error('Get Reference Revisions Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load revisions', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/{id}/revisions/{revisionId}/restore - Restore the version before a revision
+// Undoes that revision and every later one; the restore is itself recorded as a revision.
+app.http('RestoreReferenceRevision', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/revisions/{revisionId}/restore',
+    handler: async (request, context) => {
+        try {
+            const { id, revisionId } = request.params;
+            
+            const existing = await getItem(CONTAINER_NAME, id, id);
+            if (!existing || existing.mergedInto) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found' })
+                };
+            }
+            
+            const restored = rollBackTo(existing, await listRevisions(id), revisionId);
+            if (!restored) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Revision not found' })
+                };
+            }
+            
+            const updated = await upsertItem(CONTAINER_NAME, {
+                ...restored,
+                dateModified: new Date().toISOString()
+            });
+            const revision = await recordRevision(id, existing, updated, 'restore', { restoredRevisionId: revisionId });
+            
+            context.log(`Restored reference ${id} to before revision ${revisionId}`);
+            
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reference: await withSignedFiles(updated), revision })
+            };
+        } catch (error) {
+            context.error('Restore Reference Revision Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to restore revision', details: error.message })
+            };
+        }
+    }
+});
+
+// DELETE /api/references/{id} - Delete a reference and its files/pages (?soft=true moves it to the trash)
 app.http('DeleteReference', {
     methods: ['DELETE'],
     authLevel: 'anonymous',
@@ -163,15 +1026,37 @@ app.http('DeleteReference', {
     handler: async (request, context) => {
         try {
             const id = request.params.id;
+            const soft = request.query.get('soft') === 'true';
             
-            await deleteItem(CONTAINER_NAME, id, id);
+            const existing = await getItem(CONTAINER_NAME, id, id);
+            if (!existing) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found' })
+                };
+            }
+            
+            if (soft) {
+                await upsertItem(CONTAINER_NAME, toTrash(existing));
+                
+                context.log(`Moved reference to trash: ${id}`);
+                
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ success: true, message: 'Reference moved to trash', retentionDays: TRASH_RETENTION_DAYS })
+                };
+            }
+            
+            const deleted = await cascadeDeleteReference(existing, context);
             
             context.log(`Deleted reference: ${id}`);
             
             return {
                 status: 200,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ success: true, message: 'Reference deleted' })
+                body: JSON.stringify({ success: true, message: 'Reference deleted', deleted })
             };
         } catch (error) {
             context.error('Delete Reference Error:', error);
@@ -183,3 +1068,93 @@ app.http('DeleteReference', {
         }
     }
 });
+
+// GET /api/references/trash - List soft-deleted references
+app.http('GetReferenceTrash', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/trash',
+    handler: async (request, context) => {
+        try {
+            const expiresOn = sasExpiry();
+            const references = await Promise.all((await queryItems(CONTAINER_NAME, {
+                query: 'SELECT * FROM c WHERE c.deleted = true ORDER BY c.dateDeleted DESC'
+            })).map(ref => withSignedFiles(ref, expiresOn)));
+            
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(references)
+            };
+        } catch (error) {
+            context.error('Get Reference Trash Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load trash', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/{id}/restore - Restore a soft-deleted reference
+app.http('RestoreReference', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/{id}/restore',
+    handler: async (request, context) => {
+        try {
+            const id = request.params.id;
+            
+            const existing = await getItem(CONTAINER_NAME, id, id);
+            if (!existing || existing.deleted !== true) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Reference not found in trash' })
+                };
+            }
+            
+            const { deleted, dateDeleted, purgeAfter, ...restored } = existing;
+            const updated = await upsertItem(CONTAINER_NAME, {
+                ...restored,
+                dateModified: new Date().toISOString()
+            });
+            
+            context.log(`Restored reference: ${id}`);
+            
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(await withSignedFiles(updated))
+            };
+        } catch (error) {
+            context.error('Restore Reference Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to restore reference', details: error.message })
+            };
+        }
+    }
+});
+
+// Timer trigger (daily at 03:00) - Permanently delete references past their trash retention
+app.timer('PurgeReferenceTrash', {
+    schedule: '0 0 3 * * *',
+    handler: async (timer, context) => {
+        const expired = await queryItems(CONTAINER_NAME, {
+            query: 'SELECT * FROM c WHERE c.deleted = true AND c.purgeAfter < @now',
+            parameters: [{ name: '@now', value: new Date().toISOString() }]
+        });
+        
+        for (const reference of expired) {
+            try {
+                await cascadeDeleteReference(reference, context);
+                context.log(`Purged reference from trash: ${reference.id}`);
+            } catch (error) {
+                context.error(`Failed to purge reference ${reference.id}:`, error.message);
+            }
+        }
+    }
+});
@@ -1,52 +1,577 @@
 const { app } = require('@azure/functions');
-const { uploadBlob } = require('../../shared/blobClient');
+const { downloadBlob, blobExists, getReadSasUrl, blockId, stageBlock } = require('../../shared/blobClient');
+const { queryItems, isPreconditionFailed } = require('../../shared/cosmosClient');
+const { extractReferenceDraft } = require('../../shared/referenceMetadata');
+const {
+    isUploadError,
+    cleanFileName,
+    readUpload,
+    inspectUpload,
+    storeUpload,
+    storeStagedUpload
+} = require('../../shared/uploads');
+const {
+    UPLOAD_SESSION_MAX_BYTES,
+    normalizeSha256,
+    validateSession,
+    createSession,
+    getSession,
+    updateSession,
+    isCommitStale,
+    isExpired,
+    expectedChunkSize,
+    getSessionProgress,
+    discardStagedBlocks,
+    findExpiredSessions
+} = require('../../shared/uploadSessions');
+const { SNIFF_BYTES, parseFileTypeList, detectFileType } = require('../../shared/fileTypes');
+const { fileSha256 } = require('../../shared/referenceFiles');
+const { ACTIVE_REFERENCE_CONDITION } = require('../../shared/referenceQuery');
+const { SIGNABLE_CONTAINERS, sasExpiry } = require('../../shared/signedUrls');
+
+const UPLOAD_ALLOWED_TYPES = parseFileTypeList(process.env.UPLOAD_ALLOWED_TYPES || 'pdf,docx,epub,pptx,odt,rtf,html,markdown,txt');
+const REFERENCES_CONTAINER = process.env.COSMOSDB_CONTAINER_REFERENCES || 'references';
+const UPLOADS_CONTAINER = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+
+// References that already have a file with this content
+const findReferencesWithFile = async (sha256) => await queryItems(REFERENCES_CONTAINER, {
+    query: `SELECT DISTINCT c.id, c.title FROM c JOIN f IN c.files WHERE f.sha256 = @sha256 AND ${ACTIVE_REFERENCE_CONDITION}`,
+    parameters: [{ name: '@sha256', value: sha256 }]
+});
+
+const errorResponse = (status, message, extra = {}) => ({
+    status,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error: message, ...extra })
+});
+
+// Where a session stands, for the client to resume from
+const sessionSummary = (session, progress = null) => ({
+    sessionId: session.id,
+    status: isExpired(session) ? 'expired' : session.status,
+    fileName: session.fileName,
+    size: session.size,
+    sha256: session.sha256,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    expiresAt: session.expiresAt,
+    ...(progress || {}),
+    ...(session.error ? { error: session.error } : {})
+});
+
+// Sessions that no longer take chunks: 410 once expired, 409 when committed, aborted or failed
+const closedSessionResponse = (session) => (
+    isExpired(session) || session.status === 'expired'
+        ? errorResponse(410, 'Upload session has expired; start a new one')
+        : errorResponse(409, `Upload session is ${session.status}`, { session: sessionSummary(session) })
+);
+
+// Body for a committed session, shaped like the UploadFile response
+const committedResponse = async (session) => ({
+    success: true,
+    sessionId: session.id,
+    ...session.result,
+    signedUrl: await getReadSasUrl(UPLOADS_CONTAINER, session.result.blobName, { expiresOn: sasExpiry(), fileName: session.fileName }),
+    fileName: session.fileName,
+    references: session.result.duplicate ? await findReferencesWithFile(session.result.sha256) : []
+});
 
 // POST /api/references/upload - Upload a file to Blob Storage
+// Accepts multipart/form-data, a raw binary body (?fileName= or X-File-Name) or JSON { fileName, fileData (base64) }.
+// The stored content type comes from the file's bytes, not from the client. Blobs are named by
+// SHA-256, so uploading a file that is already stored returns the existing blob (duplicate: true).
 app.http('UploadFile', {
     methods: ['POST'],
     authLevel: 'anonymous',
     route: 'references/upload',
+    handler: async (request, context) => {
+        try {
+            const containerName = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+            let fileName;
+            let fileType;
+            let stored;
+            try {
+                const upload = await readUpload(request);
+                const inspected = await inspectUpload(upload, { allowedTypes: UPLOAD_ALLOWED_TYPES });
+                fileName = upload.fileName;
+                fileType = inspected.fileType;
+
+                // Stream to blob storage; the size limit can still trip part way through
+                stored = await storeUpload(containerName, inspected.chunks, fileType);
+            } catch (uploadError) {
+                if (!isUploadError(uploadError)) throw uploadError;
+                return {
+                    status: uploadError.status,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: uploadError.message })
+                };
+            }
+
+            const references = stored.duplicate ? await findReferencesWithFile(stored.sha256) : [];
+            const signedUrl = await getReadSasUrl(containerName, stored.blobName, { expiresOn: sasExpiry(), fileName });
+
+            context.log(`Uploaded file: ${stored.blobName} (${fileType.type}, ${stored.size} bytes${stored.duplicate ? ', already stored' : ''})`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    success: true,
+                    url: stored.url,
+                    signedUrl: signedUrl,
+                    fileName: fileName,
+                    blobName: stored.blobName,
+                    contentType: fileType.mimeType,
+                    fileType: fileType.type,
+                    size: stored.size,
+                    sha256: stored.sha256,
+                    duplicate: stored.duplicate,
+                    // Library entries already holding this file, so the client can link instead of re-adding
+                    references: references
+                })
+            };
+        } catch (error) {
+            context.error('Upload Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to upload file', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/upload/metadata - Prefill a reference draft from an uploaded PDF
+app.http('ExtractUploadMetadata', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/upload/metadata',
     handler: async (request, context) => {
         try {
             const body = await request.json();
-            const { fileName, fileData, contentType } = body;
-            
-            if (!fileName || !fileData) {
+            const { blobName, fileName: uploadedName } = body;
+
+            if (!blobName) {
                 return {
                     status: 400,
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ error: 'fileName and fileData are required' })
+                    body: JSON.stringify({ error: 'blobName is required' })
                 };
             }
-            
-            // Decode base64 file data
-            const buffer = Buffer.from(fileData, 'base64');
-            
-            // Generate unique blob name
-            const blobName = `${Date.now()}_${fileName}`;
+
             const containerName = process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
-            
-            // Upload to blob storage
-            const url = await uploadBlob(containerName, blobName, buffer, contentType || 'application/octet-stream');
-            
-            context.log(`Uploaded file: ${blobName}`);
-            
+            if (!await blobExists(containerName, blobName)) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Uploaded file not found' })
+                };
+            }
+
+            const buffer = await downloadBlob(containerName, blobName);
+            if (detectFileType(buffer.subarray(0, SNIFF_BYTES))?.type !== 'pdf') {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Metadata extraction is only supported for PDF files' })
+                };
+            }
+
+            const result = await extractReferenceDraft(buffer);
+
+            // Content-addressed blobs do not carry the original name; older uploads have a timestamp prefix
+            const fileName = uploadedName || blobName.replace(/^\d+_/, '');
+            const file = { name: fileName, blobName: blobName };
+            const sha256 = fileSha256(file);
+            result.draft.files = [sha256 ? { ...file, sha256 } : file];
+
+            context.log(`Extracted metadata for ${blobName}: ${Object.keys(result.fields).join(', ') || 'no fields'}`);
+
             return {
                 status: 200,
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     success: true,
+                    blobName: blobName,
+                    ...result
+                })
+            };
+        } catch (error) {
+            context.error('Extract Metadata Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to extract metadata', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/upload/sessions - Start a resumable upload
+// Body: { fileName, size (bytes), sha256? }. The response gives the chunkSize and chunkCount to send;
+// the SHA-256 must be known by the commit at the latest.
+app.http('CreateUploadSession', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/upload/sessions',
+    handler: async (request, context) => {
+        try {
+            const body = await request.json();
+            const fileName = cleanFileName(body?.fileName);
+            if (!fileName) return errorResponse(400, 'fileName is required');
+
+            let fields;
+            try {
+                fields = validateSession(body);
+            } catch (validationError) {
+                if (!validationError.status) throw validationError;
+                return errorResponse(validationError.status, validationError.message);
+            }
+
+            const session = await createSession({ fileName, ...fields });
+            context.log(`Started upload session ${session.id}: ${fileName} (${session.size} bytes in ${session.chunkCount} chunks)`);
+
+            return {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(sessionSummary(session, {
+                    receivedChunks: [],
+                    missingChunks: Array.from({ length: session.chunkCount }, (_, index) => index),
+                    receivedBytes: 0
+                }))
+            };
+        } catch (error) {
+            context.error('Create Upload Session Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to start upload session', details: error.message })
+            };
+        }
+    }
+});
+
+// GET /api/references/upload/sessions/{sessionId} - Session status with the chunks received and still missing
+app.http('GetUploadSession', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'references/upload/sessions/{sessionId}',
+    handler: async (request, context) => {
+        try {
+            const session = await getSession(request.params.sessionId);
+            if (!session) return errorResponse(404, 'Upload session not found');
+
+            const progress = session.status === 'open' && !isExpired(session) ? await getSessionProgress(session) : null;
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(sessionSummary(session, progress))
+            };
+        } catch (error) {
+            context.error('Get Upload Session Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to load upload session', details: error.message })
+            };
+        }
+    }
+});
+
+// PUT /api/references/upload/sessions/{sessionId}/chunks/{index} - Upload one chunk (raw bytes, index from 0)
+// Chunks may arrive in any order and be sent again; an optional Content-MD5 header is checked by Blob Storage.
+app.http('UploadSessionChunk', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'references/upload/sessions/{sessionId}/chunks/{index}',
+    handler: async (request, context) => {
+        try {
+            const session = await getSession(request.params.sessionId);
+            if (!session) return errorResponse(404, 'Upload session not found');
+            if (session.status !== 'open' || isExpired(session)) return closedSessionResponse(session);
+
+            const index = Number(request.params.index);
+            if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+                return errorResponse(400, `Chunk index must be between 0 and ${session.chunkCount - 1}`);
+            }
+
+            const expectedSize = expectedChunkSize(session, index);
+            const contentLength = parseInt(request.headers.get('content-length') || '0', 10);
+            if (contentLength > expectedSize) {
+                return errorResponse(413, `Chunk ${index} must be ${expectedSize} bytes`);
+            }
+
+            let contentMD5;
+            const md5Header = request.headers.get('content-md5');
+            if (md5Header) {
+                contentMD5 = Buffer.from(md5Header, 'base64');
+                if (contentMD5.length !== 16) return errorResponse(400, 'Content-MD5 must be a base64-encoded MD5 digest');
+            }
+
+            const chunk = Buffer.from(await request.arrayBuffer());
+            if (chunk.length !== expectedSize) {
+                return errorResponse(400, `Chunk ${index} must be ${expectedSize} bytes, received ${chunk.length}`);
+            }
+
+            // Turn away the wrong kind of file at the first chunk rather than after the whole upload
+            if (index === 0) {
+                const fileType = detectFileType(chunk.subarray(0, SNIFF_BYTES), session.fileName);
+                if (!fileType || !UPLOAD_ALLOWED_TYPES.includes(fileType.type)) {
+                    return errorResponse(415, `Unsupported file type (${fileType ? fileType.extension : 'not recognised from its contents'}); allowed: ${UPLOAD_ALLOWED_TYPES.join(', ')}`);
+                }
+            }
+
+            try {
+                await stageBlock(UPLOADS_CONTAINER, session.stagingBlobName, blockId(index), chunk, { contentMD5 });
+            } catch (stageError) {
+                if (stageError.code !== 'Md5Mismatch') throw stageError;
+                return errorResponse(400, `Chunk ${index} does not match its Content-MD5; send it again`);
+            }
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: session.id, index: index, size: chunk.length })
+            };
+        } catch (error) {
+            context.error('Upload Chunk Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to upload chunk', details: error.message })
+            };
+        }
+    }
+});
+
+// POST /api/references/upload/sessions/{sessionId}/commit - Assemble the chunks and store the file
+// Body: { sha256? }, required unless it was given when the session started; the assembled file must
+// hash to it (422 otherwise). Responds like POST /api/references/upload, and committing an already
+// committed session returns the same result, so a commit whose response was lost can be repeated.
+app.http('CommitUploadSession', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'references/upload/sessions/{sessionId}/commit',
+    handler: async (request, context) => {
+        try {
+            const session = await getSession(request.params.sessionId);
+            if (!session) return errorResponse(404, 'Upload session not found');
+            if (session.status === 'committed') {
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(await committedResponse(session))
+                };
+            }
+            if (session.status === 'committing' && !isCommitStale(session)) {
+                return errorResponse(409, 'Upload session is already being committed');
+            }
+            if ((session.status !== 'open' && session.status !== 'committing') || isExpired(session)) {
+                return closedSessionResponse(session);
+            }
+            if (session.status === 'committing') {
+                context.warn(`Taking over the stalled commit of upload session ${session.id} (started ${session.committingSince})`);
+            }
+
+            const body = await request.json().catch(() => ({}));
+            let sha256;
+            try {
+                sha256 = normalizeSha256(body?.sha256);
+            } catch (validationError) {
+                return errorResponse(400, validationError.message);
+            }
+            if (sha256 && session.sha256 && sha256 !== session.sha256) {
+                return errorResponse(400, 'sha256 differs from the one given when the session started');
+            }
+            sha256 = sha256 || session.sha256;
+            if (!sha256) return errorResponse(400, 'sha256 is required to verify the upload');
+
+            const { missingChunks, assembled } = await getSessionProgress(session);
+            if (missingChunks.length > 0) {
+                return errorResponse(409, `${missingChunks.length} of ${session.chunkCount} chunks are missing`, { missingChunks });
+            }
+
+            let committing;
+            try {
+                committing = await updateSession(session, { status: 'committing', committingSince: new Date().toISOString(), sha256 });
+            } catch (writeError) {
+                if (!isPreconditionFailed(writeError)) throw writeError;
+                return errorResponse(409, 'Upload session is already being committed');
+            }
+
+            let stored;
+            try {
+                // A retry after a failed attempt verifies the blob that attempt already assembled
+                const blockIds = assembled ? null : Array.from({ length: session.chunkCount }, (_, index) => blockId(index));
+                stored = await storeStagedUpload(UPLOADS_CONTAINER, session.stagingBlobName, blockIds, {
+                    fileName: session.fileName,
+                    sha256,
+                    allowedTypes: UPLOAD_ALLOWED_TYPES,
+                    maxBytes: UPLOAD_SESSION_MAX_BYTES
+                });
+            } catch (storeError) {
+                if (isUploadError(storeError)) {
+                    await updateSession(committing, { status: 'failed', error: storeError.message });
+                    return errorResponse(storeError.status, storeError.message);
+                }
+
+                // Reopen for a retry only while the chunks (or the blob assembled from them) are still there
+                const { missingChunks: lostChunks } = await getSessionProgress(committing);
+                await updateSession(committing, lostChunks.length === 0
+                    ? { status: 'open', committingSince: null }
+                    : { status: 'failed', error: `Upload could not be stored: ${storeError.message}` });
+                throw storeError;
+            }
+
+            const committed = await updateSession(committing, {
+                status: 'committed',
+                dateCommitted: new Date().toISOString(),
+                result: {
+                    url: stored.url,
+                    blobName: stored.blobName,
+                    contentType: stored.fileType.mimeType,
+                    fileType: stored.fileType.type,
+                    size: stored.size,
+                    sha256: stored.sha256,
+                    duplicate: stored.duplicate
+                }
+            });
+
+            context.log(`Committed upload session ${session.id}: ${stored.blobName} (${stored.fileType.type}, ${stored.size} bytes${stored.duplicate ? ', already stored' : ''})`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(await committedResponse(committed))
+            };
+        } catch (error) {
+            context.error('Commit Upload Session Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to commit upload session', details: error.message })
+            };
+        }
+    }
+});
+
+// DELETE /api/references/upload/sessions/{sessionId} - Abandon an upload and discard its chunks
+app.http('AbortUploadSession', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'references/upload/sessions/{sessionId}',
+    handler: async (request, context) => {
+        try {
+            const session = await getSession(request.params.sessionId);
+            if (!session) return errorResponse(404, 'Upload session not found');
+            if (session.status !== 'open' && !isCommitStale(session)) return closedSessionResponse(session);
+
+            await discardStagedBlocks(session);
+            await updateSession(session, { status: 'aborted' });
+            context.log(`Aborted upload session ${session.id}`);
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, sessionId: session.id })
+            };
+        } catch (error) {
+            context.error('Abort Upload Session Error:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Failed to abort upload session', details: error.message })
+            };
+        }
+    }
+});
+
+// Timer trigger (hourly) - Expire upload sessions left open (or stuck committing) and discard their chunks
+app.timer('ExpireUploadSessions', {
+    schedule: '0 0 * * * *',
+    handler: async (timer, context) => {
+        const expired = await findExpiredSessions();
+
+        for (const session of expired) {
+            try {
+                await discardStagedBlocks(session);
+                await updateSession(session, { status: 'expired' });
+                context.log(`Expired upload session ${session.id}`);
+            } catch (error) {
+                context.error(`Failed to expire upload session ${session.id}:`, error.message);
+            }
+        }
+    }
+});
+
+// GET /api/files/{blobName}/url - Mint a read-only, time-limited link to a private blob
+// ?container=uploads|pages (default uploads), ?minutes= lifetime, ?fileName= name shown when opened.
+// Blob names may contain slashes (sha256/<hash>.pdf, <referenceId>/page_0001_reading.png).
+app.http('GetFileUrl', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'files/{*path}',
+    handler: async (request, context) => {
+        try {
+            const path = request.params.path || '';
+            if (!path.endsWith('/url') || path.length <= '/url'.length) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Use /api/files/{blobName}/url' })
+                };
+            }
+            let blobName;
+            try {
+                blobName = decodeURIComponent(path.slice(0, -'/url'.length));
+            } catch (decodeError) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Blob name is not a valid URL-encoded path' })
+                };
+            }
+
+            const containerName = request.query.get('container') || process.env.BLOB_CONTAINER_UPLOADS || 'uploads';
+            if (!SIGNABLE_CONTAINERS.includes(containerName)) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `container must be one of: ${SIGNABLE_CONTAINERS.join(', ')}` })
+                };
+            }
+
+            if (!await blobExists(containerName, blobName)) {
+                return {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'File not found' })
+                };
+            }
+
+            const expiresOn = sasExpiry(request.query.get('minutes'));
+            const url = await getReadSasUrl(containerName, blobName, {
+                expiresOn,
+                fileName: request.query.get('fileName') || undefined
+            });
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+                body: JSON.stringify({
                     url: url,
-                    fileName: fileName,
-                    blobName: blobName
+                    blobName: blobName,
+                    container: containerName,
+                    expiresOn: expiresOn.toISOString()
                 })
             };
         } catch (error) {
-            context.error('Upload Error:', error);
+            context.error('Get File URL Error:', error);
             return {
                 status: 500,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ error: 'Failed to upload file', details: error.message })
+                body: JSON.stringify({ error: 'Failed to create file link', details: error.message })
             };
         }
     }
@@ -1,4 +1,11 @@
+const { app } = require('@azure/functions');
+
+// Request bodies arrive as streams so uploads are not buffered whole in memory
+app.setup({ enableHttpStream: true });
+
 require('./functions/references');
+require('./functions/collections');
+require('./functions/annotations');
 require('./functions/analyze');
 require('./functions/upload');
 require('./functions/calendar');
@@ -9,3 +16,6 @@ require('./functions/surveys');
 require('./functions/projects');
 require('./functions/ai');
 require('./functions/kb-pipeline');
+require('./functions/kb-search');
+require('./functions/jobs');
+require('./functions/maintenance');
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { findCaptions } = require('../shared/kbFigures');
+
+const line = (text, style = {}) => ({ text, bbox: [0, 0, 1, 1], fontSize: 10, font: 'Times', bold: false, ...style });
+const block = (...lines) => ({ bbox: [0, 0, 1, 1], lines });
+const bodyBlock = block(
+    line('The survey was run in three waves between 2018 and 2021 across nine'),
+    line('countries, with a response rate of roughly forty per cent in each wave.')
+);
+const labels = (...blocks) => findCaptions([bodyBlock, ...blocks]).map(caption => caption.label);
+
+test('findCaptions accepts labels followed by a separator', () => {
+    assert.deepStrictEqual(labels(
+        block(line('Figure 3. Architecture of the pipeline')),
+        block(line('Fig. 2b: Response rates by wave')),
+        block(line('Table 4 — Sample sizes')),
+        block(line('Tab. IV. Coefficients'))
+    ), ['Figure 3', 'Figure 2b', 'Table 4', 'Table IV']);
+});
+
+test('findCaptions accepts labels with no separator on a short line', () => {
+    assert.deepStrictEqual(labels(
+        block(line('Fig. 1 The pipeline')),
+        block(line('Table 2 Descriptive statistics'))
+    ), ['Figure 1', 'Table 2']);
+});
+
+test('findCaptions accepts labels with no separator set in a bold or smaller font', () => {
+    assert.deepStrictEqual(labels(
+        block(
+            line('Table 3 Regression of weekly hours on platform income, by country', { fontSize: 8.5 }),
+            line('and wave, with standard errors clustered by respondent', { fontSize: 8.5 })
+        ),
+        block(
+            line('Figure 4 Overview of the data flow between the crawler, the parser', { bold: true }),
+            line('and the index')
+        )
+    ), ['Table 3', 'Figure 4']);
+});
+
+test('findCaptions rejects mentions of a figure or table in body text', () => {
+    assert.deepStrictEqual(labels(
+        block(line('Figure 2 shows the distribution of income')),
+        block(line('Table 5 is based on the second wave only')),
+        block(
+            line('Figure 6 The distribution of hours is skewed in every country, which'),
+            line('matches what earlier studies of platform work have reported.')
+        )
+    ), []);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// readPdfInfo is replaced with a fixed PDF (document info and first-page layout) so the draft
+// logic is tested without rendering a real file
+let pdf = null;
+const pdfTextPath = require.resolve('../shared/pdfText');
+require.cache[pdfTextPath] = { id: pdfTextPath, filename: pdfTextPath, loaded: true, exports: { readPdfInfo: () => pdf } };
+
+const { extractReferenceDraft } = require('../shared/referenceMetadata');
+const { CROSSREF_API_URL, ARXIV_API_URL } = require('../shared/scholarlyApi');
+
+const TITLE = 'Platform Work and the Precarity of Creative Labour';
+
+const pdfWithText = (text, info = {}) => ({
+    info: { title: '', author: '', subject: '', keywords: '', creationDate: '', ...info },
+    pageCount: 12,
+    firstPage: {
+        text: `${TITLE}\n${text}`,
+        blocks: [
+            { lines: [{ text: TITLE, fontSize: 18 }] },
+            { lines: [{ text, fontSize: 9 }] }
+        ]
+    }
+});
+
+const crossrefWork = {
+    DOI: '10.1234/cl.2021.042',
+    URL: 'https://doi.org/10.1234/cl.2021.042',
+    title: [TITLE],
+    author: [{ family: 'Doe', given: 'Jane' }, { family: 'Smith', given: 'John' }],
+    issued: { 'date-parts': [[2021, 3]] },
+    'container-title': ['Journal of Labour Studies'],
+    type: 'journal-article',
+    abstract: '<jats:p>Gig platforms reshape creative work.</jats:p>',
+    subject: ['Sociology']
+};
+
+const arxivFeed = `<feed><entry>
+    <id>http://arxiv.org/abs/2101.01234v2</id>
+    <published>2021-01-05T00:00:00Z</published>
+    <title>Measuring Gig Work at Scale</title>
+    <summary>We count platform workers.</summary>
+    <author><name>A. Lee</name></author>
+    <author><name>B. Chan</name></author>
+</entry></feed>`;
+
+// Local stand-in for CrossRef and arXiv: answers from a table of URL -> Response factories
+const mockFetch = (routes) => {
+    const calls = [];
+    const fetchImpl = async (url) => {
+        calls.push(url);
+        const route = routes[url];
+        if (!route) return new Response('', { status: 404 });
+        return route();
+    };
+    return { fetchImpl, calls };
+};
+
+test('extractReferenceDraft resolves a DOI found in the PDF through CrossRef', async () => {
+    pdf = pdfWithText('Journal of Labour Studies 12 (2021) https://doi.org/10.1234/cl.2021.042.');
+    const { fetchImpl, calls } = mockFetch({
+        [`${CROSSREF_API_URL}/works/10.1234%2Fcl.2021.042`]: () => Response.json({ message: crossrefWork })
+    });
+
+    const result = await extractReferenceDraft(Buffer.from('%PDF-'), { fetchImpl });
+
+    assert.deepStrictEqual(calls, [`${CROSSREF_API_URL}/works/10.1234%2Fcl.2021.042`]);
+    assert.deepStrictEqual(result.identifiers, { doi: '10.1234/cl.2021.042', arxivId: null });
+    assert.deepStrictEqual(result.resolvedFrom, ['crossref']);
+    assert.deepStrictEqual(result.warnings, []);
+    assert.strictEqual(result.pageCount, 12);
+    assert.deepStrictEqual(result.draft, {
+        title: TITLE,
+        authors: 'Doe, Jane; Smith, John',
+        year: '2021',
+        doi: '10.1234/cl.2021.042',
+        source: 'Journal of Labour Studies',
+        type: 'Journal Article',
+        url: 'https://doi.org/10.1234/cl.2021.042',
+        summary: 'Gig platforms reshape creative work.',
+        keywords: 'Sociology'
+    });
+
+    // The printed title agrees with CrossRef's, so it is the most certain field
+    assert.deepStrictEqual(result.fields.title, { value: TITLE, confidence: 0.99, source: 'crossref' });
+    assert.deepStrictEqual(result.fields.doi, { value: '10.1234/cl.2021.042', confidence: 0.99, source: 'crossref' });
+    for (const name of ['authors', 'year', 'source', 'type', 'url', 'summary']) {
+        assert.deepStrictEqual([result.fields[name].confidence, result.fields[name].source], [0.95, 'crossref'], name);
+    }
+    assert.strictEqual(result.fields.keywords.confidence, 0.75);
+});
+
+test('extractReferenceDraft resolves an arXiv identifier found in the PDF', async () => {
+    pdf = pdfWithText('Preprint arXiv:2101.01234v2 [cs.CY] 5 Jan 2021', { author: 'A. Lee and B. Chan' });
+    const { fetchImpl, calls } = mockFetch({
+        [`${ARXIV_API_URL}/query?id_list=2101.01234`]: () => new Response(arxivFeed)
+    });
+
+    const result = await extractReferenceDraft(Buffer.from('%PDF-'), { fetchImpl });
+
+    assert.deepStrictEqual(calls, [`${ARXIV_API_URL}/query?id_list=2101.01234`]);
+    assert.deepStrictEqual(result.identifiers, { doi: null, arxivId: '2101.01234' });
+    assert.deepStrictEqual(result.resolvedFrom, ['arxiv']);
+    assert.deepStrictEqual(result.warnings, []);
+
+    // arXiv's title differs from the printed one, so it wins at arXiv confidence, not agreement
+    assert.deepStrictEqual(result.fields.title, { value: 'Measuring Gig Work at Scale', confidence: 0.9, source: 'arxiv' });
+    assert.deepStrictEqual(result.fields.authors, { value: 'A. Lee; B. Chan', confidence: 0.9, source: 'arxiv' });
+    assert.deepStrictEqual(result.fields.year, { value: '2021', confidence: 0.9, source: 'arxiv' });
+    assert.deepStrictEqual(result.fields.url, { value: 'https://arxiv.org/abs/2101.01234', confidence: 0.9, source: 'arxiv' });
+    assert.strictEqual(result.draft.type, 'Preprint');
+    assert.strictEqual(result.draft.source, 'arXiv');
+    assert.strictEqual(result.draft.summary, 'We count platform workers.');
+});
+
+test('extractReferenceDraft keeps the PDF guesses and warns when a lookup fails', async () => {
+    pdf = pdfWithText('Published 2019, doi:10.1234/cl.2019.007', { author: 'Jane Doe, John Smith' });
+    const { fetchImpl } = mockFetch({
+        [`${CROSSREF_API_URL}/works/10.1234%2Fcl.2019.007`]: () => new Response('busy', { status: 503 })
+    });
+
+    const result = await extractReferenceDraft(Buffer.from('%PDF-'), { fetchImpl });
+
+    assert.deepStrictEqual(result.resolvedFrom, []);
+    assert.deepStrictEqual(result.warnings, ['CrossRef lookup failed: HTTP 503']);
+    assert.deepStrictEqual(result.fields.doi, { value: '10.1234/cl.2019.007', confidence: 0.9, source: 'pdf-text' });
+    assert.deepStrictEqual(result.fields.authors, { value: 'Doe, Jane; Smith, John', confidence: 0.6, source: 'pdf-info' });
+    assert.deepStrictEqual(result.fields.title, { value: TITLE, confidence: 0.4, source: 'first-page' });
+    assert.deepStrictEqual(result.fields.year, { value: '2019', confidence: 0.4, source: 'first-page' });
+});
+
+test('extractReferenceDraft warns when a lookup has no record', async () => {
+    pdf = pdfWithText('arXiv:2101.09999');
+    const { fetchImpl } = mockFetch({
+        [`${ARXIV_API_URL}/query?id_list=2101.09999`]: () => new Response(
+            '<feed><entry><id>http://arxiv.org/api/errors#incorrect_id_format</id><title>Error</title></entry></feed>'
+        )
+    });
+
+    const result = await extractReferenceDraft(Buffer.from('%PDF-'), { fetchImpl });
+
+    assert.deepStrictEqual(result.resolvedFrom, []);
+    assert.deepStrictEqual(result.warnings, ['arXiv has no record for 2101.09999']);
+    assert.strictEqual(result.fields.url, undefined);
+});